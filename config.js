@@ -10,13 +10,144 @@ const firebaseConfig = {
 
 let app = null;
 let db = null;
+let auth = null;
+let authUser = null;
+let authRole = "viewer";
 
-window.initializeFirebaseApp = (FirebaseApp, FirebaseFirestore) => {
+// Roles in increasing order of access, the same ladder as firestore.rules
+const ROLE_LEVELS = { viewer: 0, player: 1, organizer: 2, admin: 3 };
+
+window.initializeFirebaseApp = (
+  FirebaseApp,
+  FirebaseFirestore,
+  FirebaseAuth
+) => {
   app = FirebaseApp.initializeApp(firebaseConfig);
   db = FirebaseFirestore.getFirestore(app);
+  if (FirebaseAuth) {
+    auth = FirebaseAuth.getAuth(app);
+  }
   console.log("Firebase initialized successfully");
 };
 
+const hasRole = (role) => ROLE_LEVELS[authRole] >= ROLE_LEVELS[role];
+
+// Refuses a write up front that the security rules would reject anyway
+const assertRole = (role) => {
+  if (hasRole(role)) return;
+  const error = new Error(
+    `This needs the ${role} role (signed in as ${authRole})`
+  );
+  // Not signed in yet is worth retrying later, a missing role is not
+  error.code = authUser ? "permission-denied" : "unauthenticated";
+  throw error;
+};
+
+const authDB = {
+  onAuthChange: (callback) => {
+    if (!auth) throw new Error("Firebase Auth not initialized");
+    const { onAuthStateChanged } = window.FirebaseAuth;
+
+    const unsubscribe = onAuthStateChanged(auth, async (user) => {
+      authRole = user ? await authDB.getRole(user) : "viewer";
+      authUser = user;
+      callback({ user: user, role: authRole });
+    });
+    return unsubscribe;
+  },
+
+  // Organizer and admin roles are granted per email in the roles collection;
+  // anyone else who is signed in is a player
+  getRole: async (user) => {
+    if (!db) throw new Error("Firebase not initialized");
+    const { doc, getDoc } = window.FirebaseFirestore;
+
+    if (user.isAnonymous || !user.email || !user.emailVerified) {
+      return "player";
+    }
+
+    try {
+      const snapshot = await getDoc(
+        doc(db, "roles", user.email.toLowerCase())
+      );
+      const role = snapshot.exists() ? snapshot.data().role : null;
+      return ROLE_LEVELS[role] !== undefined ? role : "player";
+    } catch (error) {
+      console.error("Error loading role:", error);
+      return "player";
+    }
+  },
+
+  signInWithGoogle: async () => {
+    if (!auth) throw new Error("Firebase Auth not initialized");
+    const { GoogleAuthProvider, signInWithPopup } = window.FirebaseAuth;
+
+    try {
+      const result = await signInWithPopup(auth, new GoogleAuthProvider());
+      console.log("Signed in:", result.user.email);
+      return result.user;
+    } catch (error) {
+      console.error("Error signing in:", error);
+      throw error;
+    }
+  },
+
+  signInAnonymously: async () => {
+    if (!auth) throw new Error("Firebase Auth not initialized");
+    const { signInAnonymously } = window.FirebaseAuth;
+
+    try {
+      const result = await signInAnonymously(auth);
+      console.log("Signed in anonymously:", result.user.uid);
+      return result.user;
+    } catch (error) {
+      console.error("Error signing in anonymously:", error);
+      throw error;
+    }
+  },
+
+  signOut: async () => {
+    if (!auth) throw new Error("Firebase Auth not initialized");
+    const { signOut } = window.FirebaseAuth;
+
+    try {
+      await signOut(auth);
+      console.log("Signed out");
+    } catch (error) {
+      console.error("Error signing out:", error);
+      throw error;
+    }
+  },
+
+  setRole: async (email, role) => {
+    if (!db) throw new Error("Firebase not initialized");
+    assertRole("admin");
+    const { doc, setDoc } = window.FirebaseFirestore;
+
+    try {
+      await setDoc(doc(db, "roles", email.toLowerCase().trim()), {
+        role: role,
+        updatedBy: authUser.email,
+        lastUpdated: new Date(),
+      });
+      console.log("Role updated:", email, role);
+    } catch (error) {
+      console.error("Error updating role:", error);
+      throw error;
+    }
+  },
+
+  getCurrentUser: () => authUser,
+  getCurrentRole: () => authRole,
+  hasRole: hasRole,
+};
+
+// Contact details, membership and notes are kept out of the public players
+// collection, in profiles that only organizers can read. Each email is
+// claimed in the emails collection so it can't be registered twice.
+const PROFILES_COLLECTION = "profiles";
+const EMAILS_COLLECTION = "emails";
+
 const playersDB = {
   onPlayersChange: (callback) => {
     if (!db) throw new Error("Firebase not initialized");
@@ -35,39 +166,65 @@ const playersDB = {
     return unsubscribe;
   },
 
+  // playerData.profile holds the profile fields to save with the player
   addPlayer: async (playerData) => {
     if (!db) throw new Error("Firebase not initialized");
-    const { collection, addDoc } = window.FirebaseFirestore;
+    assertRole("player");
+    const { collection, doc, runTransaction, writeBatch } =
+      window.FirebaseFirestore;
 
     try {
       // We've already checked for duplicates in the UI, so just add the player
-      const docRef = await addDoc(collection(db, "players"), {
-        name: playerData.name,
-        qualification: playerData.qualification || "intermediate",
-        timestamp: new Date(),
-        lastUpdated: new Date(),
-      });
-      console.log("Player added with ID:", docRef.id, "(status kept in memory only)");
-      return docRef.id;
-    } catch (error) {
-      console.error("Error adding player:", error);
-      throw error;
-    }
-  },
+      const playerRef = doc(collection(db, "players"));
+      const profile = { ...(playerData.profile || {}) };
+      const addWrites = (writer) => {
+        writer.set(playerRef, {
+          name: playerData.name,
+          qualification: playerData.qualification || "intermediate",
+          ...(typeof playerData.rating === "number" && {
+            rating: playerData.rating,
+            ratedGames: playerData.ratedGames || 0,
+          }),
+          timestamp: new Date(),
+          lastUpdated: new Date(),
+        });
+        if (Object.keys(profile).length > 0) {
+          writer.set(doc(db, PROFILES_COLLECTION, playerRef.id), {
+            ...profile,
+            lastUpdated: new Date(),
+          });
+        }
+        if (profile.email) {
+          writer.set(doc(db, EMAILS_COLLECTION, profile.email), {
+            playerId: playerRef.id,
+          });
+        }
+      };
 
-  updatePlayer: async (playerId, newData) => {
-    if (!db) throw new Error("Firebase not initialized");
-    const { doc, updateDoc } = window.FirebaseFirestore;
+      if (hasRole("organizer")) {
+        await runTransaction(db, async (transaction) => {
+          const claim = profile.email
+            ? await transaction.get(doc(db, EMAILS_COLLECTION, profile.email))
+            : null;
+          if (claim && claim.exists()) {
+            console.warn(
+              `${profile.email} already belongs to another player, adding ${playerData.name} without it`
+            );
+            delete profile.email;
+          }
+          addWrites(transaction);
+        });
+      } else {
+        // Players can't look up emails; the rules reject a taken one
+        const batch = writeBatch(db);
+        addWrites(batch);
+        await batch.commit();
+      }
 
-    try {
-      const playerRef = doc(db, "players", playerId);
-      await updateDoc(playerRef, {
-        ...newData,
-        lastUpdated: new Date(),
-      });
-      console.log("Player updated:", playerId);
+      console.log("Player added with ID:", playerRef.id, "(status kept in memory only)");
+      return playerRef.id;
     } catch (error) {
-      console.error("Error updating player:", error);
+      console.error("Error adding player:", error);
       throw error;
     }
   },
@@ -78,6 +235,7 @@ const playersDB = {
     qualification
   ) => {
     if (!db) throw new Error("Firebase not initialized");
+    assertRole("organizer");
     const { doc, updateDoc } = window.FirebaseFirestore;
 
     try {
@@ -99,14 +257,41 @@ const playersDB = {
     }
   },
 
+  updatePlayerRating: async (playerId, rating, ratedGames) => {
+    if (!db) throw new Error("Firebase not initialized");
+    assertRole("organizer");
+    const { doc, updateDoc } = window.FirebaseFirestore;
 
+    try {
+      await updateDoc(doc(db, "players", playerId), {
+        rating: rating,
+        ratedGames: ratedGames || 0,
+        lastUpdated: new Date(),
+      });
+      console.log("Player rating updated:", playerId, rating);
+    } catch (error) {
+      console.error("Error updating player rating:", error);
+      throw error;
+    }
+  },
 
   deletePlayer: async (playerId) => {
     if (!db) throw new Error("Firebase not initialized");
-    const { doc, deleteDoc } = window.FirebaseFirestore;
+    assertRole("admin");
+    const { doc, runTransaction } = window.FirebaseFirestore;
 
     try {
-      await deleteDoc(doc(db, "players", playerId));
+      await runTransaction(db, async (transaction) => {
+        const profileRef = doc(db, PROFILES_COLLECTION, playerId);
+        const profile = await transaction.get(profileRef);
+        const email = profile.exists() ? profile.data().email : "";
+
+        transaction.delete(doc(db, "players", playerId));
+        transaction.delete(profileRef);
+        if (email) {
+          transaction.delete(doc(db, EMAILS_COLLECTION, email));
+        }
+      });
       console.log("Player deleted:", playerId);
     } catch (error) {
       console.error("Error deleting player:", error);
@@ -134,12 +319,30 @@ const playersDB = {
     }
   },
   
-  checkNameExists: async (name) => {
+  // Matches by name, or by email when one is given, so the same person
+  // can't be registered twice under a different spelling
+  // - Only organizers can look up emails; for players the email is checked
+  //   when the player is added
+  checkNameExists: async (name, email = "") => {
     if (!db) throw new Error("Firebase not initialized");
-    const { collection, getDocs } = window.FirebaseFirestore;
+    const { collection, doc, getDoc, getDocs } = window.FirebaseFirestore;
     
     try {
       const nameToCheck = name.toLowerCase().trim();
+      const emailToCheck = (email || "").toLowerCase().trim();
+      
+      if (emailToCheck && hasRole("organizer")) {
+        const claim = await getDoc(doc(db, EMAILS_COLLECTION, emailToCheck));
+        if (claim.exists()) {
+          const owner = await getDoc(doc(db, "players", claim.data().playerId));
+          return {
+            exists: true,
+            matchedBy: "email",
+            matchingNames: [owner.exists() ? owner.data().name : emailToCheck]
+          };
+        }
+      }
+      
       const querySnapshot = await getDocs(collection(db, "players"));
       
       let foundMatch = false;
@@ -155,6 +358,7 @@ const playersDB = {
       
       return {
         exists: foundMatch,
+        matchedBy: foundMatch ? "name" : null,
         matchingNames: matchingNames
       };
     } catch (error) {
@@ -164,6 +368,356 @@ const playersDB = {
   },
 };
 
+const profilesDB = {
+  onProfilesChange: (callback) => {
+    if (!db) throw new Error("Firebase not initialized");
+    const { collection, onSnapshot } = window.FirebaseFirestore;
+
+    const unsubscribe = onSnapshot(
+      collection(db, PROFILES_COLLECTION),
+      (snapshot) => {
+        const profiles = [];
+        snapshot.forEach((doc) => {
+          profiles.push({
+            id: doc.id,
+            ...doc.data(),
+          });
+        });
+        callback(profiles);
+      },
+      (error) => {
+        console.error("Error listening to profiles:", error);
+      }
+    );
+    return unsubscribe;
+  },
+
+  // Moves the email claim along with the email, failing with
+  // "already-exists" if another player has claimed the new one
+  saveProfile: async (playerId, profile) => {
+    if (!db) throw new Error("Firebase not initialized");
+    assertRole("organizer");
+    const { doc, runTransaction } = window.FirebaseFirestore;
+
+    try {
+      const email = profile.email || "";
+      await runTransaction(db, async (transaction) => {
+        const profileRef = doc(db, PROFILES_COLLECTION, playerId);
+        const current = await transaction.get(profileRef);
+        const previousEmail = current.exists() ? current.data().email || "" : "";
+
+        let claimEmail = false;
+        if (email && email !== previousEmail) {
+          const claim = await transaction.get(doc(db, EMAILS_COLLECTION, email));
+          if (claim.exists() && claim.data().playerId !== playerId) {
+            const error = new Error(`${email} already belongs to another player`);
+            error.code = "already-exists";
+            throw error;
+          }
+          claimEmail = !claim.exists();
+        }
+
+        transaction.set(profileRef, {
+          ...profile,
+          lastUpdated: new Date(),
+        });
+        if (previousEmail && previousEmail !== email) {
+          transaction.delete(doc(db, EMAILS_COLLECTION, previousEmail));
+        }
+        if (claimEmail) {
+          transaction.set(doc(db, EMAILS_COLLECTION, email), {
+            playerId: playerId,
+          });
+        }
+      });
+      console.log("Profile saved:", playerId);
+    } catch (error) {
+      console.error("Error saving profile:", error);
+      throw error;
+    }
+  },
+};
+
+const SESSION_COLLECTION = "sessionState";
+const LIVE_SESSION_DOC = "live";
+const CHECK_INS_COLLECTION = "checkIns";
+const AUTO_ROTATIONS_COLLECTION = "autoRotations";
+
+const sessionDB = {
+  onSessionChange: (callback) => {
+    if (!db) throw new Error("Firebase not initialized");
+    const { doc, onSnapshot } = window.FirebaseFirestore;
+
+    const unsubscribe = onSnapshot(
+      doc(db, SESSION_COLLECTION, LIVE_SESSION_DOC),
+      (snapshot) => {
+        callback(snapshot.exists() ? snapshot.data() : null);
+      },
+      (error) => {
+        console.error("Error listening to session state:", error);
+      }
+    );
+    return unsubscribe;
+  },
+
+  commitSessionState: async (resolve) => {
+    if (!db) throw new Error("Firebase not initialized");
+    assertRole("organizer");
+    const { doc, runTransaction } = window.FirebaseFirestore;
+
+    try {
+      const sessionRef = doc(db, SESSION_COLLECTION, LIVE_SESSION_DOC);
+      const result = await runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(sessionRef);
+        // resolve may run more than once if the transaction is retried
+        const next = resolve(snapshot.exists() ? snapshot.data() : null);
+        transaction.set(sessionRef, {
+          ...next.state,
+          lastUpdated: new Date(),
+        });
+        return next;
+      });
+      console.log("Session state published, revision", result.state.revision);
+      return result;
+    } catch (error) {
+      console.error("Error publishing session state:", error);
+      throw error;
+    }
+  },
+
+  // Every organizer tab runs the game timers, so the tab that rotates a
+  // court when its time is up claims the game first. Returns false when
+  // the game has already ended or another tab claimed it
+  claimAutoRotate: async (courtName, startedAt) => {
+    if (!db) throw new Error("Firebase not initialized");
+    assertRole("organizer");
+    const { doc, runTransaction } = window.FirebaseFirestore;
+
+    try {
+      const sessionRef = doc(db, SESSION_COLLECTION, LIVE_SESSION_DOC);
+      const claimRef = doc(
+        db,
+        SESSION_COLLECTION,
+        LIVE_SESSION_DOC,
+        AUTO_ROTATIONS_COLLECTION,
+        courtName
+      );
+      return await runTransaction(db, async (transaction) => {
+        const session = await transaction.get(sessionRef);
+        const claim = await transaction.get(claimRef);
+        const gameStarts =
+          (session.exists() && session.data().gameStarts) || {};
+        if (gameStarts[courtName] !== startedAt) return false;
+        if (claim.exists() && claim.data().startedAt === startedAt) {
+          return false;
+        }
+
+        transaction.set(claimRef, {
+          startedAt: startedAt,
+          claimedAt: new Date(),
+        });
+        return true;
+      });
+    } catch (error) {
+      console.error("Error claiming auto-rotation:", error);
+      throw error;
+    }
+  },
+
+  onCheckInsChange: (callback) => {
+    if (!db) throw new Error("Firebase not initialized");
+    const { collection, onSnapshot } = window.FirebaseFirestore;
+
+    const unsubscribe = onSnapshot(
+      collection(db, SESSION_COLLECTION, LIVE_SESSION_DOC, CHECK_INS_COLLECTION),
+      (snapshot) => {
+        const requests = [];
+        snapshot.forEach((doc) => {
+          requests.push({
+            uid: doc.id,
+            ...doc.data(),
+          });
+        });
+        callback(requests.sort((a, b) => a.requestedAt - b.requestedAt));
+      },
+      (error) => {
+        console.error("Error listening to check-ins:", error);
+      }
+    );
+    return unsubscribe;
+  },
+
+  // Players can't write the live session, so a check-in is a request that
+  // an organizer's dashboard applies
+  requestCheckIn: async (playerId) => {
+    if (!db) throw new Error("Firebase not initialized");
+    assertRole("player");
+    const { doc, setDoc } = window.FirebaseFirestore;
+
+    try {
+      await setDoc(
+        doc(
+          db,
+          SESSION_COLLECTION,
+          LIVE_SESSION_DOC,
+          CHECK_INS_COLLECTION,
+          authUser.uid
+        ),
+        {
+          playerId: playerId,
+          requestedAt: Date.now(),
+        }
+      );
+      console.log("Check-in requested:", playerId);
+    } catch (error) {
+      console.error("Error requesting check-in:", error);
+      throw error;
+    }
+  },
+
+  clearCheckIn: async (uid) => {
+    if (!db) throw new Error("Firebase not initialized");
+    assertRole("organizer");
+    const { doc, deleteDoc } = window.FirebaseFirestore;
+
+    try {
+      await deleteDoc(
+        doc(db, SESSION_COLLECTION, LIVE_SESSION_DOC, CHECK_INS_COLLECTION, uid)
+      );
+      console.log("Check-in applied:", uid);
+    } catch (error) {
+      console.error("Error clearing check-in:", error);
+      throw error;
+    }
+  },
+};
+
+const gamesDB = {
+  saveGame: async (game) => {
+    if (!db) throw new Error("Firebase not initialized");
+    assertRole("organizer");
+    const { doc, setDoc } = window.FirebaseFirestore;
+
+    try {
+      // Games carry their own id so saving the same game twice is harmless
+      await setDoc(doc(db, "games", game.id), {
+        court: game.court,
+        courtType: game.courtType,
+        players: game.players,
+        teamA: game.teamA || [],
+        teamB: game.teamB || [],
+        scoreA: game.scoreA ?? null,
+        scoreB: game.scoreB ?? null,
+        winner: game.winner || null,
+        startedAt: game.startedAt,
+        endedAt: game.endedAt,
+        sessionId: game.sessionId || null,
+        timestamp: new Date(),
+      });
+      console.log("Game saved:", game.id);
+    } catch (error) {
+      console.error("Error saving game:", error);
+      throw error;
+    }
+  },
+
+  deleteGame: async (gameId) => {
+    if (!db) throw new Error("Firebase not initialized");
+    assertRole("organizer");
+    const { doc, deleteDoc } = window.FirebaseFirestore;
+
+    try {
+      await deleteDoc(doc(db, "games", gameId));
+      console.log("Game deleted:", gameId);
+    } catch (error) {
+      console.error("Error deleting game:", error);
+      throw error;
+    }
+  },
+};
+
+const SESSION_ACTIONS_COLLECTION = "actions";
+
+const sessionsDB = {
+  saveSession: async (session) => {
+    if (!db) throw new Error("Firebase not initialized");
+    assertRole("organizer");
+    const { doc, setDoc } = window.FirebaseFirestore;
+
+    try {
+      // Opening and closing write the same document, closing adds the archive
+      await setDoc(
+        doc(db, "sessions", session.id),
+        {
+          ...session,
+          lastUpdated: new Date(),
+        },
+        { merge: true }
+      );
+      console.log("Session saved:", session.id, session.status);
+    } catch (error) {
+      console.error("Error saving session:", error);
+      throw error;
+    }
+  },
+
+  // Each organizer device saves the audit log entries it makes, so the
+  // session keeps its whole log whichever device closes it
+  saveAction: async (sessionId, action) => {
+    if (!db) throw new Error("Firebase not initialized");
+    assertRole("organizer");
+    const { doc, setDoc } = window.FirebaseFirestore;
+
+    try {
+      await setDoc(
+        doc(db, "sessions", sessionId, SESSION_ACTIONS_COLLECTION, action.id),
+        action
+      );
+    } catch (error) {
+      console.error("Error saving audit log entry:", error);
+      throw error;
+    }
+  },
+
+  getSessionActions: async (sessionId) => {
+    if (!db) throw new Error("Firebase not initialized");
+    const { collection, getDocs } = window.FirebaseFirestore;
+
+    try {
+      const querySnapshot = await getDocs(
+        collection(db, "sessions", sessionId, SESSION_ACTIONS_COLLECTION)
+      );
+      const actions = [];
+      querySnapshot.forEach((doc) => {
+        actions.push(doc.data());
+      });
+      return actions.sort((a, b) => a.time - b.time);
+    } catch (error) {
+      console.error("Error getting audit log:", error);
+      throw error;
+    }
+  },
+
+  getSessions: async () => {
+    if (!db) throw new Error("Firebase not initialized");
+    const { collection, getDocs } = window.FirebaseFirestore;
+
+    try {
+      const querySnapshot = await getDocs(collection(db, "sessions"));
+      const sessions = [];
+      querySnapshot.forEach((doc) => {
+        sessions.push({
+          id: doc.id,
+          ...doc.data(),
+        });
+      });
+      return sessions.sort((a, b) => b.startedAt - a.startedAt);
+    } catch (error) {
+      console.error("Error getting sessions:", error);
+      throw error;
+    }
+  },
+};
 
 const checkFirebaseConnection = async () => {
   if (!db) return { connected: false, message: "Firebase not initialized" };
@@ -178,4 +732,9 @@ const checkFirebaseConnection = async () => {
 };
 
 window.playersDB = playersDB;
+window.profilesDB = profilesDB;
+window.sessionDB = sessionDB;
+window.authDB = authDB;
+window.gamesDB = gamesDB;
+window.sessionsDB = sessionsDB;
 window.checkFirebaseConnection = checkFirebaseConnection;
@@ -3,74 +3,179 @@ let advancedQueue = [];
 let intermediateQueue = [];
 let courtAssignments = {};
 let courtTypes = {};
+let courtModes = {};
 let dragPlayerIndex = null;
 let firebaseUnsubscribe = null;
 let courtsUnsubscribe = null;
+let checkInsUnsubscribe = null;
+let pendingCheckIns = [];
+let profilesUnsubscribe = null;
+let playerProfiles = {};
 
 let allPlayers = [];
 let deletedPlayers = [];
+let gameHistory = [];
+let auditLog = [];
+let gameStartTimes = {};
+let playerStats = {};
+let queuePolicy = "fifo";
 let lastSyncTime = null;
 let localBackupInterval = null;
 const LOCAL_STORAGE_KEY = "badminton_queue_data";
-
-const courtPairs = {
-  G1: "W1",
-  G2: "W2",
-  G3: "W3",
-  G4: "W4",
-  W1: "G1",
-  W2: "G2",
-  W3: "G3",
-  W4: "G4",
+const SESSION_FILE_FORMAT = "badminton-queue-session";
+const SESSION_FORMAT_VERSION = 2;
+const OUTBOX_KEY = "badminton_outbox";
+const OUTBOX_BASE_RETRY_DELAY = 2000;
+const OUTBOX_MAX_RETRY_DELAY = 300000;
+const COALESCED_WRITES = [
+  "updateQualification",
+  "updateRating",
+  "updateProfile",
+  "saveGame",
+  "saveSession",
+];
+const DEVICE_ID_KEY = "badminton_device_id";
+
+const DEFAULT_RATINGS = { advanced: 1600, intermediate: 1400 };
+const RATING_K_FACTOR = 32;
+const PROMOTION_RATING = 1550;
+const RELEGATION_RATING = 1450;
+const MY_PLAYER_KEY = "badminton_my_player";
+const SETTINGS_KEY = "badminton_settings";
+
+const VENUE_KEY = "badminton_venue";
+const DEFAULT_VENUE = {
+  name: "Default venue",
+  courts: [
+    { game: "G1", waiting: "W1" },
+    { game: "G2", waiting: "W2" },
+    { game: "G3", waiting: "W3" },
+    { game: "G4", waiting: "W4" },
+  ],
 };
+const COURT_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+const COURT_TYPES = ["advanced", "intermediate", "mixed", "training"];
+const COURT_CAPACITY = { doubles: 4, singles: 2 };
+const MAX_UNDO_STEPS = 30;
+// What trackPlayerStatusTimes keeps per player
+const PLAYER_STATS_FIELDS = [
+  "waitMs",
+  "courtMs",
+  "status",
+  "since",
+  "checkedInAt",
+  "leftAt",
+];
+// Newest audit log entries published with the live session; the whole log
+// stays in the local backup. Keeps the session document well under
+// Firestore's 1 MiB limit however long the session runs
+const MAX_PUBLISHED_ACTIONS = 200;
+
+let venue = JSON.parse(JSON.stringify(DEFAULT_VENUE));
+let courtPairs = buildCourtPairs(venue);
 
 let isDragging = false;
 let autoFillTimeout = null;
 let lastAutoFillTime = 0;
 let periodicCheckInterval = null;
+let courtTimerInterval = null;
+let timerAlerts = {};
+let undoStack = [];
+let redoStack = [];
+let outbox = [];
+let inFlightWrite = null;
+let isFlushingOutbox = false;
+let outboxRetryTimeout = null;
+let publishTimeout = null;
+let isFollowingSession = false;
+let isViewerMode = false;
+let isSubscribedToSession = false;
+let sessionBase = null;
+let sessionRevision = 0;
+let myStatusInterval = null;
+let currentSession = null;
+let editingProfileId = null;
+let pendingImport = [];
+let pastSessions = [];
+
+const DEFAULT_SETTINGS = {
+  balanceTeams: false,
+  avoidRepeats: false,
+  maxExtraWait: 2,
+  gameTimeLimit: 12,
+  autoRotate: false,
+  organizerName: "",
+};
+const RECENT_GAMES_WINDOW = 12;
+const QUEUE_POLICIES = ["fifo", "fewest-games"];
+const MEMBERSHIP_STATUSES = ["member", "guest", "none"];
+const PREFERRED_LEVELS = ["any", "advanced", "intermediate"];
+const DEFAULT_PROFILE = {
+  email: "",
+  membershipStatus: "none",
+  membershipExpiry: "",
+  preferredLevel: "any",
+  preferredPartners: [],
+  wantsSingles: false,
+  notes: "",
+};
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+// Same limit as the Firestore rules for players
+const MAX_PLAYER_NAME_LENGTH = 60;
+// Roster CSV columns, shared by export and import so exports can be
+// imported again
+const ROSTER_COLUMNS = {
+  name: "Name",
+  email: "Email",
+  qualification: "Qualification",
+  membershipStatus: "Membership",
+  membershipExpiry: "Membership Expiry",
+  preferredLevel: "Preferred Level",
+  wantsSingles: "Wants Singles",
+  notes: "Notes",
+};
+// Other headers accepted on import, e.g. from Google Forms or sign-up sheets
+const ROSTER_COLUMN_ALIASES = {
+  name: ["Full Name", "Player Name", "Your Name"],
+  email: ["Email Address", "E-mail", "E-mail Address", "WPI Email"],
+  qualification: ["Level", "Skill Level", "Qualification Level"],
+  membershipStatus: ["Membership Status"],
+  membershipExpiry: ["Membership Expires", "Expiry"],
+  preferredLevel: ["Preferred Skill Level"],
+  wantsSingles: ["Singles"],
+  notes: ["Comments"],
+};
+let settings = { ...DEFAULT_SETTINGS };
 
 /**
- * Starts a new practice session by clearing all local data and fetching fresh from database
+ * Starts a new practice session
+ * - Closes and archives the session that is still open, if any
+ * - Asks for the new session's name, then clears all local data and
+ *   fetches fresh from database
  */
 async function startNewSession() {
-  try {
-    // Clear all local data
-    players = [];
-    advancedQueue = [];
-    intermediateQueue = [];
-    courtAssignments = {};
-    deletedPlayers = [];
-    lastSyncTime = null;
-    
-    // Clear local storage
-    localStorage.clear();
-    
-    // Reset all courts to default state
-    const courts = ['G1', 'G2', 'G3', 'G4', 'W1', 'W2', 'W3', 'W4'];
-    courts.forEach(court => {
-      courtAssignments[court] = [];
-      courtTypes[court] = 'training';
-      const dropdown = document.querySelector(`#${court}-court select`);
-      if (dropdown) {
-        dropdown.value = 'training';
-      }
-    });
-
-    // Fetch fresh data from database
-    await initializeFirebase();
-
-    // Deactivate all players by default after loading
-    players.forEach(player => {
-      player.isActive = false;
-    });
-    allPlayers.forEach(player => {
-      player.isActive = false;
-    });
-    console.log('Active Players Count:', allPlayers.filter(player => player.isActive));
-    saveToLocalStorage();
-    console.log('Active Players Count:', allPlayers.filter(player => player.isActive));
+  if (!requireRole("organizer", "start a new session")) return;
+  const name = prompt(
+    "Name for the new session:",
+    getDefaultSessionName(Date.now())
+  );
+  if (name === null) return;
+
+  if (
+    currentSession &&
+    !confirm(
+      `"${currentSession.name}" is still open. Close and archive it before starting the new session?`
+    )
+  ) {
+    return;
+  }
 
-    renderPlayerPool();
+  try {
+    if (currentSession) {
+      archiveCurrentSession();
+    }
+    await resetSessionData();
+    openSession(name.trim() || getDefaultSessionName(Date.now()));
 
     alert('New session started successfully!');
   } catch (error) {
@@ -79,6 +184,219 @@ async function startNewSession() {
   }
 }
 
+/**
+ * Closes the open session without starting a new one
+ * - Archives attendance, games and stats, then clears the courts and queues
+ */
+async function closeSession() {
+  if (!requireRole("organizer", "close the session")) return;
+  if (!currentSession) {
+    alert("No session is open.");
+    return;
+  }
+
+  if (
+    !confirm(
+      `Close "${currentSession.name}"? Attendance, games and stats will be archived and the courts cleared.`
+    )
+  ) {
+    return;
+  }
+
+  try {
+    const name = currentSession.name;
+    archiveCurrentSession();
+    await resetSessionData();
+
+    alert(`"${name}" was closed and archived.`);
+  } catch (error) {
+    console.error('Error closing session:', error);
+    alert('Error closing session. Please try again.');
+  }
+}
+
+/**
+ * Clears everything about the current session and fetches fresh from
+ * database
+ * - Device id, settings, venue and unsent writes are kept
+ */
+async function resetSessionData() {
+  // Clear all local data
+  players = [];
+  advancedQueue = [];
+  intermediateQueue = [];
+  courtAssignments = {};
+  deletedPlayers = [];
+  gameHistory = [];
+  auditLog = [];
+  gameStartTimes = {};
+  playerStats = {};
+  courtModes = {};
+  undoStack = [];
+  redoStack = [];
+  lastSyncTime = null;
+  
+  // Clear local session data (device id, settings and unsent writes are kept)
+  localStorage.removeItem(LOCAL_STORAGE_KEY);
+  
+  // Reset all courts to default state
+  const courts = getAllCourts();
+  courts.forEach(court => {
+    courtAssignments[court] = [];
+    courtTypes[court] = 'training';
+    const dropdown = document.querySelector(
+      `#${court}-court .court-type-dropdown`
+    );
+    if (dropdown) {
+      dropdown.value = 'training';
+    }
+  });
+
+  // Fetch fresh data from database
+  await initializeFirebase();
+
+  // Deactivate all players by default after loading
+  players.forEach(player => {
+    player.isActive = false;
+  });
+  allPlayers.forEach(player => {
+    player.isActive = false;
+  });
+  console.log('Active Players Count:', allPlayers.filter(player => player.isActive));
+  saveToLocalStorage();
+  console.log('Active Players Count:', allPlayers.filter(player => player.isActive));
+
+  renderPlayerPool();
+}
+
+/**
+ * Formats a time as the local calendar date (YYYY-MM-DD)
+ */
+function formatSessionDate(time) {
+  const date = new Date(time);
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function getDefaultSessionName(time) {
+  return `Club night ${formatSessionDate(time)}`;
+}
+
+/**
+ * Opens a new session record
+ * - The record is created in Firestore through the outbox and travels with
+ *   the live session so every organizer works in the same session
+ *
+ * @param {string} name - Session name shown on the sessions page
+ */
+function openSession(name) {
+  const startedAt = Date.now();
+  currentSession = {
+    id: "session_" + startedAt + "_" + Math.random().toString(36).substr(2, 9),
+    name: name,
+    date: formatSessionDate(startedAt),
+    venue: venue.name,
+    organizers: [getActorName()],
+    startedAt: startedAt,
+    endedAt: null,
+    status: "open",
+  };
+
+  enqueueWrite("saveSession", { session: { ...currentSession } });
+  renderSessionInfo();
+  saveToLocalStorage();
+  console.log(`Opened session ${currentSession.id}: ${name}`);
+}
+
+/**
+ * Builds the archived record of the open session
+ * - Attendance covers everyone who was active at some point in the session,
+ *   with when they checked in and when they left (the end of the session
+ *   for those still active)
+ * - Organizers are everyone who appears in the audit log
+ *
+ * @param {number} endedAt - When the session was closed
+ * @returns {Object} Session record ready to be written to Firestore
+ */
+function buildSessionArchive(endedAt) {
+  refreshAllPlayers();
+
+  const attendees = allPlayers
+    .filter((player) => player.isActive || playerStats[player.id])
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const organizers = new Set([
+    ...(currentSession.organizers || []),
+    ...auditLog.map((entry) => entry.actor),
+    getActorName(),
+  ]);
+
+  return {
+    ...currentSession,
+    venue: venue.name,
+    courts: getGameCourts(),
+    organizers: [...organizers],
+    endedAt: endedAt,
+    status: "closed",
+    attendance: attendees.map((player) => {
+      const stats = playerStats[player.id] || {};
+      return {
+        id: player.id,
+        name: player.name,
+        qualification: player.qualification || "intermediate",
+        checkedInAt: stats.checkedInAt || currentSession.startedAt,
+        leftAt: (!player.isActive && stats.leftAt) || endedAt,
+      };
+    }),
+    games: gameHistory.map(({ synced, ...game }) => game),
+    stats: attendees.map((player) => {
+      const stats = getPlayerSessionStats(player.id);
+      const record = getWinLossRecord(player.id);
+      return {
+        playerId: player.id,
+        name: player.name,
+        gamesPlayed: stats.gamesPlayed,
+        wins: record.wins,
+        losses: record.losses,
+        waitMs: stats.waitMs,
+        courtMs: stats.courtMs,
+      };
+    }),
+  };
+}
+
+/**
+ * Closes the open session and queues its archive for Firestore
+ * - Must run before the session data is cleared
+ */
+function archiveCurrentSession() {
+  if (!currentSession) return;
+
+  const archive = buildSessionArchive(Date.now());
+  enqueueWrite("saveSession", { session: archive });
+  console.log(
+    `Archived session ${archive.id} with ${archive.attendance.length} players and ${archive.games.length} games`
+  );
+
+  currentSession = null;
+  renderSessionInfo();
+}
+
+/**
+ * Shows the open session's name and start time on the dashboard
+ */
+function renderSessionInfo() {
+  const infoElement = document.getElementById("session-info");
+  if (!infoElement) return;
+
+  infoElement.textContent = currentSession
+    ? `${currentSession.name} · started ${formatClockTime(
+        currentSession.startedAt
+      )}`
+    : "No session open";
+  infoElement.classList.toggle("session-closed", !currentSession);
+}
+
 /**
  * Initializes the Firebase connection and loads initial data
  * Prints the number of active players
@@ -96,7 +414,11 @@ async function initializeFirebase() {
       throw new Error("Firebase modules not loaded");
     }
 
-    window.initializeFirebaseApp(window.FirebaseApp, window.FirebaseFirestore);
+    window.initializeFirebaseApp(
+      window.FirebaseApp,
+      window.FirebaseFirestore,
+      window.FirebaseAuth
+    );
 
     const connectionStatus = await window.checkFirebaseConnection();
     if (!connectionStatus.connected) {
@@ -151,13 +473,15 @@ function initializePlayerArrays() {
     .filter((item) => item.player.isActive !== false)
     .map((item) => item.index);
 
+  const compareQueued = getQueueComparator(queuePolicy, gameHistory);
+
   advancedQueue = activePlayersIndices
     .filter((i) => players[i].status === "queue-advanced")
-    .sort((a, b) => (players[a].order || 0) - (players[b].order || 0));
+    .sort((a, b) => compareQueued(players[a], players[b]));
 
   intermediateQueue = activePlayersIndices
     .filter((i) => players[i].status === "queue-intermediate")
-    .sort((a, b) => (players[a].order || 0) - (players[b].order || 0));
+    .sort((a, b) => compareQueued(players[a], players[b]));
 
   courtAssignments = {};
   players.forEach((p, i) => {
@@ -167,6 +491,16 @@ function initializePlayerArrays() {
     }
   });
 
+  // Players are kept in slot order so the first half is always pair A
+  Object.values(courtAssignments).forEach((indices) => {
+    indices.sort((a, b) => getCourtSlot(a) - getCourtSlot(b) || a - b);
+  });
+
+  if (!isFollowingSession) {
+    trackGameStartTimes();
+    trackPlayerStatusTimes();
+  }
+
   console.log(
     "Advanced Queue: " +
       advancedQueue.length +
@@ -175,6 +509,188 @@ function initializePlayerArrays() {
   );
 }
 
+/**
+ * Returns the comparator that orders a queue under a queue policy
+ * - fifo: by the time the player joined the queue
+ * - fewest-games: by games played this session, then by time in the queue
+ *
+ * @param {string} policy - One of QUEUE_POLICIES
+ * @param {Array} games - This session's game history
+ * @returns {Function} Comparator for two player objects
+ */
+function getQueueComparator(policy, games) {
+  const byOrder = (a, b) => (a.order || 0) - (b.order || 0);
+  if (policy !== "fewest-games") {
+    return byOrder;
+  }
+
+  const gamesPlayed = {};
+  games.forEach((game) => {
+    game.players.forEach((player) => {
+      gamesPlayed[player.id] = (gamesPlayed[player.id] || 0) + 1;
+    });
+  });
+
+  return (a, b) =>
+    (gamesPlayed[a.id] || 0) - (gamesPlayed[b.id] || 0) || byOrder(a, b);
+}
+
+/**
+ * Switches how the queues are ordered for the whole session
+ *
+ * @param {string} policy - One of QUEUE_POLICIES
+ */
+function changeQueuePolicy(policy) {
+  if (!requireRole("organizer", "change the queue order")) return;
+  if (!QUEUE_POLICIES.includes(policy)) {
+    console.error("Invalid queue policy:", policy);
+    return;
+  }
+
+  queuePolicy = policy;
+  initializePlayerArrays();
+  renderPlayerQueue();
+  renderQueuePolicy();
+  saveToLocalStorage();
+
+  console.log(`Queue policy changed to ${policy}`);
+}
+
+function renderQueuePolicy() {
+  const select = document.getElementById("queue-policy");
+  if (select) {
+    select.value = queuePolicy;
+  }
+}
+
+function getCourtSlot(playerIndex) {
+  const slot = players[playerIndex] && players[playerIndex].courtSlot;
+  return typeof slot === "number" ? slot : Number.MAX_SAFE_INTEGER;
+}
+
+/**
+ * Returns the first free slot on a court for a player joining it
+ */
+function nextCourtSlot(courtName) {
+  const slots = (courtAssignments[courtName] || [])
+    .map((playerIndex) => players[playerIndex].courtSlot)
+    .filter((slot) => typeof slot === "number");
+  return slots.length > 0 ? Math.max(...slots) + 1 : 0;
+}
+
+/**
+ * Remembers when each G court filled up so finished games get a start time
+ * - A court that empties out loses its start time
+ */
+function trackGameStartTimes() {
+  getGameCourts().forEach((gCourtName) => {
+    const playersOnCourt = (courtAssignments[gCourtName] || []).length;
+
+    if (
+      playersOnCourt >= getCourtCapacity(gCourtName) &&
+      !gameStartTimes[gCourtName]
+    ) {
+      gameStartTimes[gCourtName] = Date.now();
+    } else if (playersOnCourt === 0) {
+      delete gameStartTimes[gCourtName];
+    }
+  });
+}
+
+/**
+ * Accumulates how long each active player has spent waiting and on court
+ * - Compares every player's status with the one seen last time and closes
+ *   the previous interval when it changed
+ * - Players who left the session have their open interval closed too
+ * - Remembers when each player first checked in and when they last left,
+ *   for the attendance record
+ * - The stats travel with the live session, so the organizer who makes a
+ *   change records it and the other tabs only take it over
+ */
+function trackPlayerStatusTimes() {
+  const now = Date.now();
+  const activeIds = new Set();
+
+  players.forEach((player) => {
+    if (player.isActive === false || !player.id) return;
+    activeIds.add(player.id);
+
+    if (!playerStats[player.id]) {
+      playerStats[player.id] = {
+        waitMs: 0,
+        courtMs: 0,
+        status: null,
+        since: now,
+        checkedInAt: now,
+        leftAt: null,
+      };
+    }
+
+    const stats = playerStats[player.id];
+    if (!stats.status) {
+      stats.leftAt = null;
+    }
+    if (stats.status !== player.status) {
+      closeStatusInterval(stats, now);
+      stats.status = player.status;
+      stats.since = now;
+    }
+  });
+
+  Object.keys(playerStats).forEach((playerId) => {
+    const stats = playerStats[playerId];
+    if (!activeIds.has(playerId) && stats.status) {
+      closeStatusInterval(stats, now);
+      stats.status = null;
+      stats.since = now;
+      stats.leftAt = now;
+    }
+  });
+}
+
+function closeStatusInterval(stats, now) {
+  if (!stats.status) return;
+
+  const elapsed = Math.max(0, now - stats.since);
+  if (stats.status.startsWith("queue-")) {
+    stats.waitMs += elapsed;
+  } else {
+    stats.courtMs += elapsed;
+  }
+}
+
+/**
+ * Returns a player's statistics for the current session
+ * - Games come from the game history, times from status tracking
+ * - The interval the player is currently in is included
+ *
+ * @param {string} playerId - Player id
+ * @returns {{gamesPlayed: number, waitMs: number, courtMs: number, currentWaitMs: number}}
+ */
+function getPlayerSessionStats(playerId) {
+  const stats = playerStats[playerId] || { waitMs: 0, courtMs: 0 };
+  const openMs = stats.status ? Math.max(0, Date.now() - stats.since) : 0;
+  const waiting = !!stats.status && stats.status.startsWith("queue-");
+
+  return {
+    gamesPlayed: gameHistory.filter((game) =>
+      game.players.some((player) => player.id === playerId)
+    ).length,
+    waitMs: stats.waitMs + (waiting ? openMs : 0),
+    courtMs: stats.courtMs + (stats.status && !waiting ? openMs : 0),
+    currentWaitMs: waiting ? openMs : 0,
+  };
+}
+
+function formatDuration(ms) {
+  const totalMinutes = Math.round(ms / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0
+    ? `${hours}h ${String(minutes).padStart(2, "0")}m`
+    : `${minutes}m`;
+}
+
 /**
  * Updates both a player's status and qualification level
  * - Used when moving players between different level queues
@@ -199,6 +715,12 @@ function updatePlayerStatus(playerIndex, newStatus, newQualification) {
       orderToAssign = Date.now();
     }
 
+    if (newStatus.startsWith("queue-")) {
+      delete player.courtSlot;
+    } else if (newStatus !== oldStatus) {
+      player.courtSlot = nextCourtSlot(newStatus);
+    }
+
     player.status = newStatus;
     player.qualification = newQualification;
     player.modified = true;
@@ -238,6 +760,9 @@ function updatePlayerStatus(playerIndex, newStatus, newQualification) {
  * @param {Array} newOrderArray - Array of player indices in their new order
  */
 function reorderPlayersInQueue(queueType, newOrderArray) {
+  if (!requireRole("organizer", "reorder the queue")) return;
+  captureUndoSnapshot(`Reorder the ${queueType} queue`);
+
   try {
     const baseTime = Date.now();
 
@@ -275,6 +800,7 @@ function reorderPlayersInQueue(queueType, newOrderArray) {
  * @param {string} court - Court identifier (G1-G4, W1-W4)
  */
 function moveToCourt(playerIndex, court) {
+  if (!requireRole("organizer", "move players")) return;
   if (!players[playerIndex]) return;
 
   const player = players[playerIndex];
@@ -301,14 +827,22 @@ function moveToCourt(playerIndex, court) {
   }
 
   const currentPlayersOnCourt = courtAssignments[court] || [];
-  if (currentPlayersOnCourt.length >= 4) {
-    alert(`Court ${court} is full! Maximum 4 players per court.`);
+  const capacity = getCourtCapacity(court);
+  if (currentPlayersOnCourt.length >= capacity) {
+    alert(`Court ${court} is full! Maximum ${capacity} players on this court.`);
     console.log(
-      `Cannot move player to ${court} - court is full (${currentPlayersOnCourt.length}/4 players)`
+      `Cannot move player to ${court} - court is full (${currentPlayersOnCourt.length}/${capacity} players)`
     );
     return;
   }
 
+  captureUndoSnapshot(`Move ${player.name} to ${court}`);
+  logAction(
+    "move-to-court",
+    `${player.name} moved to ${court}`,
+    { status: player.status },
+    { status: court }
+  );
   updatePlayerStatus(playerIndex, court, player.qualification);
 }
 
@@ -322,6 +856,7 @@ function moveToCourt(playerIndex, court) {
  * @param {string} queueType - Queue to move player to (advanced/intermediate)
  */
 function moveToSpecificQueue(playerIndex, queueType) {
+  if (!requireRole("organizer", "move players")) return;
   if (!players[playerIndex]) return;
 
   const player = players[playerIndex];
@@ -338,6 +873,13 @@ function moveToSpecificQueue(playerIndex, queueType) {
     newQualification = "intermediate";
   }
 
+  captureUndoSnapshot(`Move ${player.name} to the ${queueType} queue`);
+  logAction(
+    "move-to-queue",
+    `${player.name} moved to the ${queueType} queue`,
+    { status: player.status, qualification: player.qualification },
+    { status: newStatus, qualification: newQualification }
+  );
   updatePlayerStatus(playerIndex, newStatus, newQualification);
 
   if (wasOnCourt && previousCourt) {
@@ -351,7 +893,7 @@ function moveToSpecificQueue(playerIndex, queueType) {
 
 /**
  * Advances a player from a specific queue to a court
- * - Takes the next player from the specified queue
+ * - Takes the next player from the specified queue (in queue policy order)
  * - Checks if court is available and not in training mode
  * - Ensures player qualification matches court type
  *
@@ -359,6 +901,7 @@ function moveToSpecificQueue(playerIndex, queueType) {
  * @param {string} queueType - Queue to take player from (advanced/intermediate)
  */
 async function autoAdvanceFromQueue(courtName, queueType = "advanced") {
+  if (!requireRole("organizer", "move players")) return;
   const queue = queueType === "advanced" ? advancedQueue : intermediateQueue;
 
   if (queue.length === 0) {
@@ -376,9 +919,10 @@ async function autoAdvanceFromQueue(courtName, queueType = "advanced") {
   }
 
   const currentPlayersOnCourt = courtAssignments[courtName] || [];
-  if (currentPlayersOnCourt.length >= 4) {
+  const capacity = getCourtCapacity(courtName);
+  if (currentPlayersOnCourt.length >= capacity) {
     console.log(
-      `Cannot auto-advance to ${courtName} - court is full (${currentPlayersOnCourt.length}/4 players)`
+      `Cannot auto-advance to ${courtName} - court is full (${currentPlayersOnCourt.length}/${capacity} players)`
     );
     return;
   }
@@ -410,9 +954,14 @@ async function autoAdvanceFromQueue(courtName, queueType = "advanced") {
   }
 
   const nextPlayer = players[nextPlayerIndex];
+  captureUndoSnapshot(`Advance ${nextPlayer.name} to ${courtName}`);
 
   try {
-    await updatePlayerStatus(nextPlayerIndex, courtName, player.qualification);
+    await updatePlayerStatus(
+      nextPlayerIndex,
+      courtName,
+      nextPlayer.qualification
+    );
     console.log(
       `Auto-advanced ${nextPlayer.name} from ${queueType} queue to ${courtName}`
     );
@@ -422,27 +971,124 @@ async function autoAdvanceFromQueue(courtName, queueType = "advanced") {
 }
 
 /**
- * Changes the type of a court (advanced, intermediate, training)
+ * Returns whether a court is played as singles or doubles
+ * - Waiting courts follow their game court
+ *
+ * @param {string} courtName - Court identifier
+ * @param {Object} modes - Court modes to read (defaults to the current ones)
+ * @returns {string} "singles" or "doubles"
+ */
+function getCourtMode(courtName, modes = courtModes) {
+  return modes[courtName] === "singles" ? "singles" : "doubles";
+}
+
+/**
+ * Returns how many players fit on a court (2 for singles, 4 for doubles)
+ *
+ * @param {string} courtName - Court identifier
+ * @param {Object} modes - Court modes to read (defaults to the current ones)
+ * @returns {number} Court capacity
+ */
+function getCourtCapacity(courtName, modes = courtModes) {
+  return COURT_CAPACITY[getCourtMode(courtName, modes)];
+}
+
+/**
+ * Switches a game court (and its waiting court) between singles and doubles
+ * - Players beyond the new capacity go back to their queue, latest
+ *   arrivals on the court first
+ * - A game in progress keeps its start time
+ *
+ * @param {string} courtName - Game court identifier
+ * @param {string} mode - "singles" or "doubles"
+ */
+function changeCourtMode(courtName, mode) {
+  if (!requireRole("organizer", "change court modes")) return;
+  if (!COURT_CAPACITY[mode]) {
+    console.error("Invalid court mode:", mode);
+    return;
+  }
+
+  if (!isGameCourt(courtName)) {
+    alert(
+      `Cannot change the mode of ${courtName} directly. Change ${courtPairs[courtName]} instead.`
+    );
+    updateCourtDropdowns();
+    return;
+  }
+
+  const courts = [courtName];
+  if (courtPairs[courtName]) courts.push(courtPairs[courtName]);
+
+  captureUndoSnapshot(`Change ${courtName} to ${mode}`);
+
+  const now = Date.now();
+  courts.forEach((court) => {
+    if (mode === "singles") {
+      courtModes[court] = mode;
+    } else {
+      delete courtModes[court];
+    }
+
+    const extraPlayers = (courtAssignments[court] || []).slice(
+      COURT_CAPACITY[mode]
+    );
+    extraPlayers.forEach((playerIndex) => {
+      const player = players[playerIndex];
+      player.status =
+        player.qualification === "advanced"
+          ? "queue-advanced"
+          : "queue-intermediate";
+      player.order = now;
+      player.modified = true;
+      delete player.courtSlot;
+      console.log(
+        `Moving ${player.name} back to queue - ${court} is now ${mode}`
+      );
+    });
+  });
+
+  console.log(`Court ${courts.join("/")} is now ${mode}`);
+
+  initializePlayerArrays();
+  renderPlayerQueue();
+  renderCourtPlayers();
+  updateCourtDropdowns();
+  saveToLocalStorage();
+
+  setTimeout(() => {
+    autoFillEmptyCourts();
+  }, 500);
+}
+
+/**
+ * Changes the type of a court (advanced, intermediate, mixed, training)
  * - Enforces restrictions on which courts can be changed
  * - Maintains synchronization between paired G and W courts
  * - Handles player movement when changing to/from training mode
  * - Updates UI and saves changes to local storage
  *
- * @param {string} courtName - Court identifier to change (G1-G4)
- * @param {string} courtType - New court type (advanced/intermediate/training)
+ * @param {string} courtName - Game court identifier to change
+ * @param {string} courtType - New court type (one of COURT_TYPES)
  */
 function changeCourtType(courtName, courtType) {
+  if (!requireRole("organizer", "change court types")) return;
   if (!courtName || !courtType) {
     console.error("Court name and type are required");
     return;
   }
 
-  if (!["advanced", "intermediate", "training"].includes(courtType)) {
+  if (!COURT_TYPES.includes(courtType)) {
     console.error("Invalid court type:", courtType);
     return;
   }
 
-  if (courtName.startsWith("W")) {
+  if (!getAllCourts().includes(courtName)) {
+    console.error("Unknown court:", courtName);
+    return;
+  }
+
+  if (isWaitingCourt(courtName)) {
     const gCourtName = courtPairs[courtName];
     alert(
       `Cannot change type of ${courtName} directly. It inherits type from ${gCourtName}. Change ${gCourtName} instead.`
@@ -452,6 +1098,8 @@ function changeCourtType(courtName, courtType) {
     return;
   }
 
+  captureUndoSnapshot(`Change ${courtName} to ${courtType}`);
+
   try {
     console.log(`Changing court ${courtName} type to ${courtType}...`);
 
@@ -459,8 +1107,8 @@ function changeCourtType(courtName, courtType) {
 
     courtTypes[courtName.trim()] = courtType;
 
-    if (courtName.startsWith("G")) {
-      const wCourtName = courtPairs[courtName];
+    const wCourtName = courtPairs[courtName];
+    if (wCourtName) {
       courtTypes[wCourtName] = courtType;
       console.log(
         `Synced ${wCourtName} type with ${courtName}: ${courtType} in memory`
@@ -468,6 +1116,12 @@ function changeCourtType(courtName, courtType) {
     }
 
     handleCourtTypeChange(courtName, oldCourtType, courtType);
+    logAction(
+      "court-type",
+      `${courtName} changed to ${courtType}`,
+      { type: oldCourtType },
+      { type: courtType }
+    );
 
     syncWCourtTypes();
     renderCourtPlayers();
@@ -484,24 +1138,44 @@ function changeCourtType(courtName, courtType) {
 
 /**
  * Rotates players between courts in a G-W pair
+ * - Records the finished game in the session's game history
  * - Moves G court players back to queue
- * - Moves W court players to G court
+ * - Moves W court players to G court; a G court without a W court is
+ *   left empty for auto-fill to refill from the queue
  * - Triggers auto-fill to populate empty spots in W court
  * - Essential for court rotation flow management
  *
- * @param {string} gCourtName - G court identifier to rotate (G1-G4)
+ * @param {string} gCourtName - G court identifier to rotate
+ * @param {Object|null} result - Optional final score ({ scoreA, scoreB, winner })
  */
-function rotateCourtPlayers(gCourtName) {
-  if (!gCourtName.startsWith("G")) {
+function rotateCourtPlayers(gCourtName, result = null) {
+  if (!requireRole("organizer", "rotate courts")) return;
+  if (!isGameCourt(gCourtName)) {
     console.error("Rotation can only be triggered from G-Courts");
     return;
   }
 
-  const wCourtName = courtPairs[gCourtName];
+  const wCourtName = courtPairs[gCourtName] || null;
   const gCourtPlayers = courtAssignments[gCourtName] || [];
-  const wCourtPlayers = courtAssignments[wCourtName] || [];
+  const wCourtPlayers = wCourtName ? courtAssignments[wCourtName] || [] : [];
+
+  captureUndoSnapshot(`Rotate ${gCourtName}`);
+  const namesOn = (playerIndices) =>
+    playerIndices.map((playerIndex) => players[playerIndex].name);
+  const describeCourts = () => {
+    const courts = {
+      [gCourtName]: namesOn(courtAssignments[gCourtName] || []),
+    };
+    if (wCourtName) {
+      courts[wCourtName] = namesOn(courtAssignments[wCourtName] || []);
+    }
+    return courts;
+  };
+  const courtsBefore = describeCourts();
 
   try {
+    recordGame(gCourtName, gCourtPlayers, result);
+
     for (const playerIndex of gCourtPlayers) {
       const player = players[playerIndex];
       if (player) {
@@ -512,6 +1186,7 @@ function rotateCourtPlayers(gCourtName) {
         player.status = queueType;
         player.order = Date.now();
         player.modified = true;
+        delete player.courtSlot;
         console.log(`Moved ${player.name} from ${gCourtName} back to queue`);
       }
     }
@@ -526,6 +1201,12 @@ function rotateCourtPlayers(gCourtName) {
     }
 
     initializePlayerArrays();
+    logAction(
+      "rotate",
+      `${gCourtName} rotated`,
+      courtsBefore,
+      describeCourts()
+    );
     renderPlayerQueue();
     renderCourtPlayers();
     saveToLocalStorage();
@@ -534,53 +1215,603 @@ function rotateCourtPlayers(gCourtName) {
       autoFillEmptyCourts();
     }, 1000);
 
-    console.log(`Completed rotation for ${gCourtName}-${wCourtName} pair`);
+    console.log(
+      wCourtName
+        ? `Completed rotation for ${gCourtName}-${wCourtName} pair`
+        : `Completed rotation for ${gCourtName}, which has no waiting court`
+    );
   } catch (error) {
     console.error(`Failed to rotate players for ${gCourtName}:`, error);
   }
 }
 
 /**
- * Handles player movement when a court type changes
- * - Manages both G court and its paired W court
- * - When changing to training mode: moves all players to their respective queues
- * - When changing from training mode: triggers auto-fill to populate courts
- * - Uses batch processing to avoid race conditions
+ * Records the game that just finished on a G court
+ * - Start time is when the court filled up, end time is now
+ * - The first half of the court forms pair A, the second half pair B
+ * - Kept in the session's game history and saved to the games collection
  *
- * @param {string} courtName - Court identifier being changed
- * @param {string} oldCourtType - Previous court type
- * @param {string} newCourtType - New court type
+ * @param {string} gCourtName - G court the game was played on
+ * @param {Array} playerIndices - Indices of the players on the court
+ * @param {Object|null} result - Optional final score ({ scoreA, scoreB, winner })
+ * @returns {Object|null} The game record, or null if the court was empty
  */
-function handleCourtTypeChange(courtName, oldCourtType, newCourtType) {
-  const courts = [courtName];
-  const isGCourt = courtName.startsWith("G");
-  const pairedCourtName = courtPairs[courtName];
+function recordGame(gCourtName, playerIndices, result = null) {
+  const gamePlayers = playerIndices
+    .map((playerIndex) => players[playerIndex])
+    .filter(Boolean)
+    .map((player) => ({
+      id: player.id,
+      name: player.name,
+      qualification: player.qualification,
+    }));
 
-  if (isGCourt && pairedCourtName) {
-    courts.push(pairedCourtName);
+  if (gamePlayers.length === 0) {
+    return null;
+  }
+
+  const endedAt = Date.now();
+  const half = Math.ceil(gamePlayers.length / 2);
+  const game = {
+    id: "game_" + endedAt + "_" + Math.random().toString(36).substr(2, 9),
+    court: gCourtName,
+    courtType: courtTypes[gCourtName] || "intermediate",
+    players: gamePlayers,
+    teamA: gamePlayers.slice(0, half).map((player) => player.id),
+    teamB: gamePlayers.slice(half).map((player) => player.id),
+    scoreA: result ? result.scoreA : null,
+    scoreB: result ? result.scoreB : null,
+    winner: result ? result.winner : null,
+    startedAt: gameStartTimes[gCourtName] || endedAt,
+    endedAt: endedAt,
+    sessionId: currentSession ? currentSession.id : null,
+    synced: false,
+  };
+
+  gameHistory.push(game);
+  delete gameStartTimes[gCourtName];
+  if (game.winner) {
+    updateRatingsForGame(game);
   }
+  renderGameHistory();
+  saveGameToDatabase(game);
 
   console.log(
-    `Handling court type change for ${courts.join(
-      ", "
-    )} from ${oldCourtType} to ${newCourtType}`
+    `Recorded game on ${gCourtName} with ${gamePlayers.length} players`
   );
+  return game;
+}
 
-  if (newCourtType === "training") {
-    const playersToMove = [];
+/**
+ * Finishes the game on a G court from the rotate button
+ * - Optionally asks for the final score and the winning pair
+ * - Cancelling the score prompt cancels the rotation
+ *
+ * @param {string} gCourtName - G court identifier (G1-G4)
+ */
+function finishGame(gCourtName) {
+  if (!requireRole("organizer", "finish games")) return;
+  const gCourtPlayers = (courtAssignments[gCourtName] || [])
+    .map((playerIndex) => players[playerIndex])
+    .filter(Boolean);
+
+  if (gCourtPlayers.length < 2) {
+    rotateCourtPlayers(gCourtName);
+    return;
+  }
 
-    courts.forEach((court) => {
-      const playersOnCourt = courtAssignments[court] || [];
-      if (playersOnCourt.length > 0) {
-        console.log(
-          `Court ${court} changed to training mode. Will move ${playersOnCourt.length} player(s) to queue.`
-        );
+  const half = Math.ceil(gCourtPlayers.length / 2);
+  const pairA = gCourtPlayers.slice(0, half).map((p) => p.name).join(" & ");
+  const pairB = gCourtPlayers.slice(half).map((p) => p.name).join(" & ");
 
-        for (const playerIndex of playersOnCourt) {
-          if (players[playerIndex]) {
-            playersToMove.push({
-              playerIndex: playerIndex,
-              player: players[playerIndex],
+  let result = null;
+  while (true) {
+    const input = prompt(
+      `Final score on ${gCourtName} (e.g. 21-17), or leave blank to skip:\n\n` +
+        `Pair A: ${pairA}\nPair B: ${pairB}`
+    );
+    if (input === null) return;
+    if (!input.trim()) break;
+
+    result = parseGameScore(input);
+    if (result) break;
+
+    alert('Invalid score! Please enter it as "A score - B score", e.g. 21-17.');
+  }
+
+  if (!result) {
+    const winnerInput = prompt(
+      `Which pair won on ${gCourtName}? (A or B, blank to skip)\n\n` +
+        `Pair A: ${pairA}\nPair B: ${pairB}`
+    );
+    if (winnerInput === null) return;
+
+    const winner = winnerInput.trim().toUpperCase();
+    if (winner === "A" || winner === "B") {
+      result = { scoreA: null, scoreB: null, winner: winner };
+    }
+  }
+
+  rotateCourtPlayers(gCourtName, result);
+}
+
+/**
+ * Parses a final score such as "21-17" (pair A first)
+ *
+ * @param {string} input - Score typed by the organizer
+ * @returns {Object|null} { scoreA, scoreB, winner }, or null if invalid
+ */
+function parseGameScore(input) {
+  const match = input.trim().match(/^(\d{1,2})\s*[-–:]\s*(\d{1,2})$/);
+  if (!match) return null;
+
+  const scoreA = parseInt(match[1]);
+  const scoreB = parseInt(match[2]);
+  if (scoreA === scoreB) return null;
+
+  return {
+    scoreA: scoreA,
+    scoreB: scoreB,
+    winner: scoreA > scoreB ? "A" : "B",
+  };
+}
+
+/**
+ * Counts wins and losses for a player over this session's scored games
+ *
+ * @param {string} playerId - Player id
+ * @returns {{wins: number, losses: number}}
+ */
+function getWinLossRecord(playerId) {
+  const record = { wins: 0, losses: 0 };
+
+  gameHistory.forEach((game) => {
+    if (!game.winner || !game.teamA || !game.teamB) return;
+
+    const team = game.teamA.includes(playerId)
+      ? "A"
+      : game.teamB.includes(playerId)
+      ? "B"
+      : null;
+    if (!team) return;
+
+    if (team === game.winner) {
+      record.wins++;
+    } else {
+      record.losses++;
+    }
+  });
+
+  return record;
+}
+
+/**
+ * Returns every local copy of a player (active players and the pool)
+ */
+function findPlayerCopies(playerId) {
+  return [
+    players.find((p) => p.id === playerId),
+    allPlayers.find((p) => p.id === playerId),
+  ].filter(Boolean);
+}
+
+function getPlayerRating(player) {
+  if (!player) return DEFAULT_RATINGS.intermediate;
+  if (typeof player.rating === "number") return player.rating;
+  return DEFAULT_RATINGS[player.qualification] || DEFAULT_RATINGS.intermediate;
+}
+
+/**
+ * Suggests a new qualification when a rating crosses a threshold
+ * - There is a gap between the two thresholds so players near the
+ *   boundary are not asked to switch back and forth every game
+ *
+ * @param {Object} player - Player with qualification and rating
+ * @returns {string|null} Suggested qualification, or null to keep the current one
+ */
+function getQualificationSuggestion(player) {
+  if (!player || typeof player.rating !== "number") return null;
+
+  if (
+    player.qualification !== "advanced" &&
+    player.rating >= PROMOTION_RATING
+  ) {
+    return "advanced";
+  }
+  if (
+    player.qualification === "advanced" &&
+    player.rating < RELEGATION_RATING
+  ) {
+    return "intermediate";
+  }
+  return null;
+}
+
+/**
+ * Updates player ratings (Elo) after a game with a winner
+ * - Each pair is rated by the average of its players' ratings
+ * - Every player on a pair gains or loses the same amount
+ *
+ * @param {Object} game - Game record with teamA, teamB and winner
+ */
+function updateRatingsForGame(game) {
+  if (
+    !game.teamA ||
+    !game.teamB ||
+    game.teamA.length === 0 ||
+    game.teamA.length !== game.teamB.length
+  ) {
+    return;
+  }
+
+  const teamRating = (ids) =>
+    ids.reduce(
+      (sum, id) => sum + getPlayerRating(findPlayerCopies(id)[0]),
+      0
+    ) / ids.length;
+
+  const ratingA = teamRating(game.teamA);
+  const ratingB = teamRating(game.teamB);
+  const expectedA = 1 / (1 + Math.pow(10, (ratingB - ratingA) / 400));
+  const actualA = game.winner === "A" ? 1 : 0;
+  const deltaA = Math.round(RATING_K_FACTOR * (actualA - expectedA));
+
+  const applyDelta = (ids, delta) => {
+    ids.forEach((id) => {
+      const copies = findPlayerCopies(id);
+      if (copies.length === 0) return;
+
+      const newRating = getPlayerRating(copies[0]) + delta;
+      const ratedGames = (copies[0].ratedGames || 0) + 1;
+      copies.forEach((copy) => {
+        copy.rating = newRating;
+        copy.ratedGames = ratedGames;
+        copy.ratingModified = true;
+      });
+
+      const suggestion = getQualificationSuggestion(copies[0]);
+      if (suggestion) {
+        console.log(
+          `${copies[0].name} is now rated ${newRating} - consider moving to ${suggestion}`
+        );
+      }
+
+      saveRatingToDatabase(id);
+    });
+  };
+
+  applyDelta(game.teamA, deltaA);
+  applyDelta(game.teamB, -deltaA);
+}
+
+function saveRatingToDatabase(playerId) {
+  const copies = findPlayerCopies(playerId);
+  const player = copies[0];
+  if (!player) return;
+
+  enqueueWrite("updateRating", {
+    playerId: playerId,
+    rating: player.rating,
+    ratedGames: player.ratedGames,
+  });
+  copies.forEach((copy) => delete copy.ratingModified);
+}
+
+/**
+ * Moves a player to the qualification suggested by their rating
+ * - Queued players switch queues; players on a court keep their spot
+ *
+ * @param {string} playerId - Player id
+ */
+async function applyQualificationSuggestion(playerId) {
+  if (!requireRole("organizer", "change qualifications")) return;
+  const copies = findPlayerCopies(playerId);
+  const suggestion = getQualificationSuggestion(copies[0]);
+  if (!suggestion) return;
+
+  if (
+    !confirm(
+      `Move ${copies[0].name} (rated ${copies[0].rating}) to ${suggestion}?`
+    )
+  ) {
+    return;
+  }
+
+  const playerIndex = players.findIndex((p) => p.id === playerId);
+  if (playerIndex !== -1) {
+    const player = players[playerIndex];
+    if (player.status && player.status.startsWith("queue-")) {
+      moveToSpecificQueue(playerIndex, suggestion);
+    } else {
+      updatePlayerStatus(playerIndex, player.status, suggestion);
+    }
+  } else {
+    copies.forEach((copy) => {
+      copy.qualification = suggestion;
+      copy.modified = true;
+    });
+    saveToLocalStorage();
+    enqueueWrite("updateQualification", {
+      playerId: playerId,
+      qualification: suggestion,
+    });
+  }
+
+  renderPlayerPool();
+}
+
+function saveGameToDatabase(game) {
+  const { synced, ...record } = game;
+  enqueueWrite("saveGame", { game: JSON.parse(JSON.stringify(record)) });
+}
+
+function deleteGameFromDatabase(game) {
+  enqueueWrite("deleteGame", { gameId: game.id });
+}
+
+function formatClockTime(time) {
+  return new Date(time).toLocaleTimeString([], {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+function openGameHistory() {
+  const modal = document.getElementById("game-history-modal");
+  modal.style.display = "block";
+  renderGameHistory();
+}
+
+function closeGameHistory() {
+  const modal = document.getElementById("game-history-modal");
+  modal.style.display = "none";
+}
+
+function renderGameHistory() {
+  const historyList = document.getElementById("game-history-list");
+  if (!historyList) return;
+
+  historyList.innerHTML = "";
+
+  [...gameHistory].reverse().forEach((game) => {
+    historyList.appendChild(createGameHistoryItem(game));
+  });
+
+  if (gameHistory.length === 0) {
+    historyList.innerHTML = "<p>No games finished yet this session.</p>";
+  }
+}
+
+/**
+ * Builds the history list entry for one game
+ * - Shared by the game history panel and the sessions page
+ */
+function createGameHistoryItem(game) {
+  const minutes = Math.round((game.endedAt - game.startedAt) / 60000);
+  const namesFor = (ids) =>
+    (ids || [])
+      .map((id) => (game.players.find((p) => p.id === id) || {}).name)
+      .filter(Boolean)
+      .join(" & ");
+  const resultText = !game.winner
+    ? ""
+    : game.scoreA !== null && game.scoreA !== undefined
+    ? `${game.scoreA}–${game.scoreB}, pair ${game.winner} won`
+    : `pair ${game.winner} won`;
+  const playersText = game.teamA
+    ? `A: ${namesFor(game.teamA)} vs B: ${namesFor(game.teamB)}`
+    : game.players.map((player) => player.name).join(", ");
+
+  const gameDiv = document.createElement("div");
+  gameDiv.className = "game-history-item";
+  gameDiv.innerHTML = `
+    <div class="game-history-meta">
+      <span class="game-history-court">${game.court}</span>
+      <span class="player-qualification">${game.courtType}</span>
+      <span class="game-history-time">${formatClockTime(
+        game.startedAt
+      )} - ${formatClockTime(game.endedAt)} (${minutes} min)</span>
+    </div>
+    <div class="game-history-players"></div>
+    ${resultText ? `<div class="game-history-result">${resultText}</div>` : ""}
+  `;
+  // Names come from the players collection, so they're set as text
+  gameDiv.querySelector(".game-history-players").textContent = playersText;
+  return gameDiv;
+}
+
+/**
+ * Name recorded as the actor of this device's actions
+ * - The organizer name setting, then the signed-in account, or a short
+ *   device id when neither is available
+ */
+function getActorName() {
+  const name = (settings.organizerName || "").trim();
+  const user = window.authDB ? window.authDB.getCurrentUser() : null;
+  const account = user && !user.isAnonymous && (user.displayName || user.email);
+  return name || account || `Device ${getDeviceId().slice(-4)}`;
+}
+
+/**
+ * Adds an entry to the session's audit log
+ * - Entries travel with the live session, so every organizer sees the
+ *   same log, and are kept with the local backup
+ * - While a session is open, each entry is also saved with the session
+ *   record so the log outlives the session
+ * - Call it before the action saves, so the entry is saved with it
+ *
+ * @param {string} action - Kind of action (e.g. move-to-court, rotate)
+ * @param {string} description - What happened, in words
+ * @param {Object|null} before - Relevant state before the action
+ * @param {Object|null} after - Relevant state after the action
+ */
+function logAction(action, description, before = null, after = null) {
+  if (isFollowingSession) return;
+
+  const time = Date.now();
+  const entry = {
+    id: "action_" + time + "_" + Math.random().toString(36).substr(2, 9),
+    time: time,
+    actor: getActorName(),
+    deviceId: getDeviceId(),
+    action: action,
+    description: description,
+    before: before,
+    after: after,
+  };
+  auditLog.push(entry);
+  renderAuditLog();
+
+  if (currentSession && canOrganize()) {
+    enqueueWrite("saveAction", {
+      sessionId: currentSession.id,
+      // Firestore refuses undefined values, which JSON drops
+      action: JSON.parse(JSON.stringify(entry)),
+    });
+  }
+}
+
+function openAuditLog() {
+  const modal = document.getElementById("audit-log-modal");
+  modal.style.display = "block";
+  renderAuditLog();
+}
+
+function closeAuditLog() {
+  const modal = document.getElementById("audit-log-modal");
+  modal.style.display = "none";
+}
+
+/**
+ * Describes the before/after state of an audit entry
+ * - One "field: before → after" part per field that is set on either side
+ */
+function describeAuditChange(before, after) {
+  const formatValue = (value) =>
+    value === undefined || value === null
+      ? "–"
+      : Array.isArray(value)
+      ? value.join(", ") || "empty"
+      : String(value);
+  const fields = [
+    ...new Set([...Object.keys(before || {}), ...Object.keys(after || {})]),
+  ];
+
+  return fields
+    .map(
+      (field) =>
+        `${field}: ${formatValue((before || {})[field])} → ${formatValue(
+          (after || {})[field]
+        )}`
+    )
+    .join("; ");
+}
+
+/**
+ * Builds the element for one audit log entry
+ * - Actor names and descriptions are typed by people, so every part is
+ *   set as text
+ */
+function createAuditLogItem(entry) {
+  const appendText = (parent, tagName, className, text) => {
+    const element = document.createElement(tagName);
+    element.className = className;
+    element.textContent = text;
+    parent.appendChild(element);
+    return element;
+  };
+
+  const entryDiv = document.createElement("div");
+  entryDiv.className = "game-history-item audit-log-item";
+
+  const metaDiv = appendText(entryDiv, "div", "game-history-meta", "");
+  appendText(metaDiv, "span", "audit-log-actor", entry.actor);
+  appendText(metaDiv, "span", "player-qualification", entry.action);
+  appendText(
+    metaDiv,
+    "span",
+    "game-history-time",
+    formatClockTime(entry.time)
+  );
+
+  appendText(entryDiv, "div", "game-history-players", entry.description);
+  const change = describeAuditChange(entry.before, entry.after);
+  if (change) {
+    appendText(entryDiv, "div", "audit-log-change", change);
+  }
+  return entryDiv;
+}
+
+function renderAuditLog() {
+  const logList = document.getElementById("audit-log-list");
+  if (!logList) return;
+
+  const filterInput = document.getElementById("audit-log-search");
+  const filter = filterInput ? filterInput.value.trim().toLowerCase() : "";
+
+  logList.innerHTML = "";
+
+  const entries = [...auditLog]
+    .reverse()
+    .filter(
+      (entry) =>
+        !filter ||
+        entry.description.toLowerCase().includes(filter) ||
+        entry.actor.toLowerCase().includes(filter)
+    );
+
+  entries.forEach((entry) => {
+    logList.appendChild(createAuditLogItem(entry));
+  });
+
+  if (entries.length === 0) {
+    logList.innerHTML = filter
+      ? "<p>No actions match the search.</p>"
+      : "<p>No actions recorded yet this session.</p>";
+  }
+}
+
+/**
+ * Handles player movement when a court type changes
+ * - Manages both G court and its paired W court
+ * - When changing to training mode: moves all players to their respective queues
+ * - When changing from training mode: triggers auto-fill to populate courts
+ * - Uses batch processing to avoid race conditions
+ *
+ * @param {string} courtName - Court identifier being changed
+ * @param {string} oldCourtType - Previous court type
+ * @param {string} newCourtType - New court type
+ */
+function handleCourtTypeChange(courtName, oldCourtType, newCourtType) {
+  const courts = [courtName];
+  const isGCourt = isGameCourt(courtName);
+  const pairedCourtName = courtPairs[courtName];
+
+  if (isGCourt && pairedCourtName) {
+    courts.push(pairedCourtName);
+  }
+
+  console.log(
+    `Handling court type change for ${courts.join(
+      ", "
+    )} from ${oldCourtType} to ${newCourtType}`
+  );
+
+  if (newCourtType === "training") {
+    const playersToMove = [];
+
+    courts.forEach((court) => {
+      const playersOnCourt = courtAssignments[court] || [];
+      if (playersOnCourt.length > 0) {
+        console.log(
+          `Court ${court} changed to training mode. Will move ${playersOnCourt.length} player(s) to queue.`
+        );
+
+        for (const playerIndex of playersOnCourt) {
+          if (players[playerIndex]) {
+            playersToMove.push({
+              playerIndex: playerIndex,
+              player: players[playerIndex],
               fromCourt: court,
             });
           }
@@ -597,6 +1828,7 @@ function handleCourtTypeChange(courtName, oldCourtType, newCourtType) {
       item.player.status = queueStatus;
       item.player.order = Date.now();
       item.player.modified = true;
+      delete item.player.courtSlot;
 
       console.log(
         `Moving ${item.player.name} from court ${item.fromCourt} to ${queueType} queue (training mode activated)`
@@ -624,8 +1856,9 @@ function handleCourtTypeChange(courtName, oldCourtType, newCourtType) {
  * - Called after court type changes and during initialization
  */
 function syncWCourtTypes() {
-  ["G1", "G2", "G3", "G4"].forEach((gCourt) => {
+  getGameCourts().forEach((gCourt) => {
     const wCourt = courtPairs[gCourt];
+    if (!wCourt) return;
     const gCourtType = courtTypes[gCourt] || "intermediate";
     courtTypes[wCourt] = gCourtType;
   });
@@ -670,6 +1903,8 @@ function debouncedAutoFill() {
  * G courts always have priority over W courts when filling from queues.
  */
 function autoFillEmptyCourts() {
+  if (!canOrganize()) return;
+
   console.log("Auto-filling empty courts...");
   syncWCourtTypes();
 
@@ -678,9 +1913,11 @@ function autoFillEmptyCourts() {
   );
 
   initializePlayerArrays();
+  const statusesBefore = players.map((player) => player.status);
 
-  const gCourts = ["G1", "G2", "G3", "G4"];
+  const gCourts = orderCourtsForFilling(getGameCourts());
   let anyChanges = false;
+  const filledCourts = new Set();
 
   for (const gCourtName of gCourts) {
     const courtType = courtTypes[gCourtName] || "intermediate";
@@ -692,6 +1929,7 @@ function autoFillEmptyCourts() {
     const gCourtPlayers = courtAssignments[gCourtName] || [];
     const wCourtName = courtPairs[gCourtName];
     const wCourtPlayers = courtAssignments[wCourtName] || [];
+    const capacity = getCourtCapacity(gCourtName);
 
     console.log(
       `Checking court pair ${gCourtName}/${wCourtName}: G=${gCourtPlayers.length} players, W=${wCourtPlayers.length} players`
@@ -720,15 +1958,22 @@ function autoFillEmptyCourts() {
               players[playerIndex] &&
               players[playerIndex].qualification === "intermediate"
           );
+        } else if (courtType === "mixed") {
+          queueToUse = getMixedQueue();
         }
 
         if (queueToUse.length > 0) {
-          const playersToMove = queueToUse.slice(0, 4);
+          const playersToMove = pickPlayersFromQueue(
+            queueToUse,
+            capacity,
+            gCourtName
+          );
 
           for (const playerIndex of playersToMove) {
             const player = players[playerIndex];
             if (player) {
               player.status = gCourtName;
+              filledCourts.add(gCourtName);
               player.modified = true;
               console.log(
                 `🎯 Filled empty ${gCourtName} with ${player.name} from queue`
@@ -747,7 +1992,10 @@ function autoFillEmptyCourts() {
       }
     }
 
-    if (gCourtPlayers.length === 0 && wCourtPlayers.length >= 2) {
+    // A doubles game can start with one pair, a singles game needs both
+    const playersToStart =
+      getCourtMode(gCourtName) === "singles" ? capacity : capacity / 2;
+    if (gCourtPlayers.length === 0 && wCourtPlayers.length >= playersToStart) {
       try {
         const playersToCopy = [...wCourtPlayers];
 
@@ -759,6 +2007,7 @@ function autoFillEmptyCourts() {
           const player = players[playerIndex];
           if (player) {
             player.status = gCourtName;
+            filledCourts.add(gCourtName);
             player.modified = true;
             console.log(
               `🎾 Moved ${player.name} from ${wCourtName} to game court ${gCourtName}`
@@ -775,10 +2024,10 @@ function autoFillEmptyCourts() {
       }
     } else if (
       gCourtPlayers.length > 0 &&
-      gCourtPlayers.length < 4 &&
+      gCourtPlayers.length < capacity &&
       wCourtPlayers.length > 0
     ) {
-      const playersNeededInG = 4 - gCourtPlayers.length;
+      const playersNeededInG = capacity - gCourtPlayers.length;
       const playersToMove = Math.min(playersNeededInG, wCourtPlayers.length);
 
       if (playersToMove > 0) {
@@ -792,6 +2041,7 @@ function autoFillEmptyCourts() {
             const player = players[playerIndex];
             if (player) {
               player.status = gCourtName;
+              filledCourts.add(gCourtName);
               player.modified = true;
               console.log(
                 `Balanced: Moved ${player.name} from ${wCourtName} to game court ${gCourtName}`
@@ -820,7 +2070,7 @@ function autoFillEmptyCourts() {
     initializePlayerArrays();
   }
 
-  const allCourts = ["G1", "G2", "G3", "G4", "W1", "W2", "W3", "W4"];
+  const allCourts = orderCourtsForFilling(getAllCourts());
 
   for (const courtName of allCourts) {
     const courtType = courtTypes[courtName] || "intermediate";
@@ -831,7 +2081,8 @@ function autoFillEmptyCourts() {
     }
 
     const currentPlayersOnCourt = courtAssignments[courtName] || [];
-    const availableSpots = 4 - currentPlayersOnCourt.length;
+    const availableSpots =
+      getCourtCapacity(courtName) - currentPlayersOnCourt.length;
 
     console.log(
       `Court ${courtName} (${courtType}) has ${availableSpots} available spots`
@@ -841,7 +2092,7 @@ function autoFillEmptyCourts() {
       continue;
     }
 
-    if (courtName.startsWith("G")) {
+    if (isGameCourt(courtName)) {
       console.log(`Prioritizing filling ${courtName} as it's a G court`);
     }
 
@@ -852,7 +2103,11 @@ function autoFillEmptyCourts() {
         const player = players[playerIndex];
         return player && player.qualification === "advanced";
       });
-      playersToAdd = availableAdvanced.slice(0, availableSpots);
+      playersToAdd = pickPlayersFromQueue(
+        availableAdvanced,
+        availableSpots,
+        courtName
+      );
       console.log(
         `Found ${playersToAdd.length} advanced players to add to ${courtName}`
       );
@@ -861,10 +2116,23 @@ function autoFillEmptyCourts() {
         const player = players[playerIndex];
         return player && player.qualification === "intermediate";
       });
-      playersToAdd = availableIntermediate.slice(0, availableSpots);
+      playersToAdd = pickPlayersFromQueue(
+        availableIntermediate,
+        availableSpots,
+        courtName
+      );
       console.log(
         `Found ${playersToAdd.length} intermediate players to add to ${courtName}`
       );
+    } else if (courtType === "mixed") {
+      playersToAdd = pickPlayersFromQueue(
+        getMixedQueue(),
+        availableSpots,
+        courtName
+      );
+      console.log(
+        `Found ${playersToAdd.length} players from both queues to add to ${courtName}`
+      );
     } else {
       playersToAdd = [];
     }
@@ -875,6 +2143,7 @@ function autoFillEmptyCourts() {
           const player = players[playerIndex];
           if (player) {
             player.status = courtName;
+            filledCourts.add(courtName);
             player.modified = true;
             console.log(
               `Auto-filled ${player.name} to waiting court ${courtName}`
@@ -895,6 +2164,23 @@ function autoFillEmptyCourts() {
   if (anyChanges) {
     console.log("Changes detected during auto-fill. Updating UI and saving...");
     initializePlayerArrays();
+
+    if (settings.balanceTeams) {
+      filledCourts.forEach((courtName) => balanceCourtTeams(courtName));
+      initializePlayerArrays();
+    }
+
+    players.forEach((player, playerIndex) => {
+      const previousStatus = statusesBefore[playerIndex];
+      if (player.status === previousStatus) return;
+      logAction(
+        "auto-fill",
+        `${player.name} placed on ${player.status}`,
+        { status: previousStatus },
+        { status: player.status }
+      );
+    });
+
     renderPlayerQueue();
     renderCourtPlayers();
     saveToLocalStorage();
@@ -903,76 +2189,449 @@ function autoFillEmptyCourts() {
   }
 }
 
-function startPeriodicCourtCheck() {
-  if (periodicCheckInterval) {
-    clearInterval(periodicCheckInterval);
-  }
-
-  periodicCheckInterval = setInterval(() => {
-    if (!isDragging) {
-      console.log("Periodic court check...");
-      debouncedAutoFill();
-    }
-  }, 30000);
+/**
+ * Orders courts for auto-fill so mixed courts come last
+ * - Advanced and intermediate courts get first pick of their own queue;
+ *   mixed courts take whoever is left over from both queues
+ *
+ * @param {Array} courtNames - Courts in venue order
+ * @returns {Array} Courts in the order they should be filled
+ */
+function orderCourtsForFilling(courtNames) {
+  const isMixed = (courtName) => courtTypes[courtName] === "mixed";
+  return [
+    ...courtNames.filter((courtName) => !isMixed(courtName)),
+    ...courtNames.filter(isMixed),
+  ];
+}
 
-  console.log("Started periodic court fill check (every 30 seconds)");
+/**
+ * Combines both queues into the order a mixed court draws from
+ * - Players are interleaved by the current queue policy, so whoever is
+ *   next under that policy goes first whatever their level
+ *
+ * @returns {Array} Player indices from both queues
+ */
+function getMixedQueue() {
+  const compareQueued = getQueueComparator(queuePolicy, gameHistory);
+  return [...advancedQueue, ...intermediateQueue].sort((a, b) =>
+    compareQueued(players[a], players[b])
+  );
 }
 
-function stopPeriodicCourtCheck() {
-  if (periodicCheckInterval) {
-    clearInterval(periodicCheckInterval);
-    periodicCheckInterval = null;
-    console.log("Stopped periodic court fill check");
+/**
+ * Picks the players that go from a queue onto a court
+ * - Normally the first players in the queue
+ * - With avoidRepeats on, looks a few places further down the queue and
+ *   prefers the group with the fewest recent partners/opponents in common
+ *   (including players already on the court)
+ * - Nobody is passed over by more than settings.maxExtraWait players in
+ *   total; players who reach that limit are always picked
+ *
+ * @param {Array} queueToUse - Player indices in queue order
+ * @param {number} count - Number of players needed
+ * @param {string} courtName - Court being filled
+ * @returns {Array} Player indices to move onto the court
+ */
+function pickPlayersFromQueue(queueToUse, count, courtName) {
+  const candidates = queueToUse.filter(
+    (playerIndex) =>
+      players[playerIndex] &&
+      players[playerIndex].status &&
+      players[playerIndex].status.startsWith("queue-")
+  );
+
+  if (!settings.avoidRepeats || candidates.length <= count) {
+    return candidates.slice(0, count);
   }
-}
 
-function renderPlayerQueue() {
-  const queueLeft = document.getElementById("player-queue");
-  const queueRight = document.getElementById("player-queue-right");
+  const maxExtraWait = Math.max(0, parseInt(settings.maxExtraWait) || 0);
+  const pool = candidates.slice(0, count + maxExtraWait);
+  const existingIds = (courtAssignments[courtName] || []).map(
+    (playerIndex) => players[playerIndex].id
+  );
+  const recentGames = gameHistory.slice(-RECENT_GAMES_WINDOW);
+  const passedOverBy = (positions, position) =>
+    positions.filter((picked) => picked > position).length;
+
+  let bestPositions = null;
+  let bestScore = Infinity;
+
+  forEachCombination(pool.length, count, (positions) => {
+    for (let position = 0; position < pool.length; position++) {
+      if (positions.includes(position)) continue;
+      const alreadyPassed = players[pool[position]].passedOver || 0;
+      if (alreadyPassed + passedOverBy(positions, position) > maxExtraWait) {
+        return;
+      }
+    }
 
-  if (!queueLeft || !queueRight) return;
+    const ids = positions.map((position) => players[pool[position]].id);
+    const repeats = countRecentMeetings([...existingIds, ...ids], recentGames);
+    const score =
+      repeats * 100 + positions.reduce((sum, position) => sum + position, 0);
 
-  queueLeft.innerHTML = '<div class="queue-header"></div>';
-  queueRight.innerHTML = '<div class="queue-header"></div>';
+    if (score < bestScore) {
+      bestScore = score;
+      bestPositions = [...positions];
+    }
+  });
 
-  advancedQueue.forEach((playerIndex, position) => {
-    const player = players[playerIndex];
-    if (!player) return;
+  if (!bestPositions) {
+    return candidates.slice(0, count);
+  }
 
-    const playerDiv = document.createElement("div");
-    playerDiv.className = "player-box advanced-player queue-item";
-    playerDiv.dataset.playerIndex = playerIndex;
-    playerDiv.dataset.queueType = "advanced";
+  pool.forEach((playerIndex, position) => {
+    const player = players[playerIndex];
+    if (bestPositions.includes(position)) {
+      delete player.passedOver;
+    } else {
+      const passed = passedOverBy(bestPositions, position);
+      if (passed > 0) {
+        player.passedOver = (player.passedOver || 0) + passed;
+        console.log(
+          `${player.name} passed over by ${passed} to avoid repeat games on ${courtName}`
+        );
+      }
+    }
+  });
+
+  return bestPositions.map((position) => pool[position]);
+}
+
+/**
+ * Calls back with every ascending combination of `size` positions out of `total`
+ */
+function forEachCombination(total, size, callback) {
+  const positions = [];
+  const pick = (start) => {
+    if (positions.length === size) {
+      callback(positions);
+      return;
+    }
+    for (let position = start; position < total; position++) {
+      positions.push(position);
+      pick(position + 1);
+      positions.pop();
+    }
+  };
+  pick(0);
+}
+
+/**
+ * Counts how often players in a group met in the given games
+ * - Playing as partners counts double, playing as opponents counts once
+ *
+ * @param {Array} playerIds - Player ids in the group
+ * @param {Array} games - Game records to look through
+ * @returns {number} Weighted number of repeat meetings
+ */
+function countRecentMeetings(playerIds, games) {
+  let meetings = 0;
+
+  games.forEach((game) => {
+    const inGame = playerIds.filter((id) =>
+      game.players.some((player) => player.id === id)
+    );
+
+    for (let i = 0; i < inGame.length; i++) {
+      for (let j = i + 1; j < inGame.length; j++) {
+        const partners =
+          game.teamA &&
+          game.teamB &&
+          ((game.teamA.includes(inGame[i]) && game.teamA.includes(inGame[j])) ||
+            (game.teamB.includes(inGame[i]) && game.teamB.includes(inGame[j])));
+        meetings += partners ? 2 : 1;
+      }
+    }
+  });
+
+  return meetings;
+}
+
+/**
+ * Estimates how strong a player is for team balancing
+ * - Uses the player's rating when they have one
+ * - Otherwise adjusts the qualification default by this session's win rate
+ *   once they have a few decided games
+ * - Falls back to the qualification default
+ *
+ * @param {Object} player - Player to evaluate
+ * @returns {number} Strength on the rating scale
+ */
+function getPlayerStrength(player) {
+  if (typeof player.rating === "number") {
+    return player.rating;
+  }
+
+  const baseRating =
+    DEFAULT_RATINGS[player.qualification] || DEFAULT_RATINGS.intermediate;
+  const record = getWinLossRecord(player.id);
+  const decidedGames = record.wins + record.losses;
+
+  if (decidedGames >= 3) {
+    return baseRating + (record.wins / decidedGames - 0.5) * 200;
+  }
+  return baseRating;
+}
+
+/**
+ * Splits the players on a full doubles court into the two closest pairs
+ * - The same players stay on the court, only the pairs change
+ * - Ties keep the queue order (first two vs last two)
+ *
+ * @param {string} courtName - Court identifier
+ */
+function balanceCourtTeams(courtName) {
+  const courtPlayers = (courtAssignments[courtName] || []).map(
+    (playerIndex) => players[playerIndex]
+  );
+  if (courtPlayers.length !== 4) return;
+
+  const strengths = courtPlayers.map(getPlayerStrength);
+  const pairings = [
+    [0, 1, 2, 3],
+    [0, 2, 1, 3],
+    [0, 3, 1, 2],
+  ];
+
+  let bestPairing = pairings[0];
+  let bestDifference = Infinity;
+  pairings.forEach((pairing) => {
+    const pairA = strengths[pairing[0]] + strengths[pairing[1]];
+    const pairB = strengths[pairing[2]] + strengths[pairing[3]];
+    const difference = Math.abs(pairA - pairB);
+    if (difference < bestDifference) {
+      bestDifference = difference;
+      bestPairing = pairing;
+    }
+  });
+
+  bestPairing.forEach((position, slot) => {
+    courtPlayers[position].courtSlot = slot;
+    courtPlayers[position].modified = true;
+  });
+
+  console.log(
+    `Balanced ${courtName}: ${courtPlayers[bestPairing[0]].name} & ${
+      courtPlayers[bestPairing[1]].name
+    } vs ${courtPlayers[bestPairing[2]].name} & ${
+      courtPlayers[bestPairing[3]].name
+    } (difference ${Math.round(bestDifference)})`
+  );
+}
+
+function startPeriodicCourtCheck() {
+  if (periodicCheckInterval) {
+    clearInterval(periodicCheckInterval);
+  }
+
+  periodicCheckInterval = setInterval(() => {
+    if (!isDragging) {
+      console.log("Periodic court check...");
+      debouncedAutoFill();
+    }
+  }, 30000);
+
+  if (courtTimerInterval) {
+    clearInterval(courtTimerInterval);
+  }
+  courtTimerInterval = setInterval(checkGameTimers, 1000);
+
+  console.log("Started periodic court fill check (every 30 seconds)");
+}
+
+function stopPeriodicCourtCheck() {
+  if (periodicCheckInterval) {
+    clearInterval(periodicCheckInterval);
+    periodicCheckInterval = null;
+    console.log("Stopped periodic court fill check");
+  }
+  if (courtTimerInterval) {
+    clearInterval(courtTimerInterval);
+    courtTimerInterval = null;
+  }
+}
+
+/**
+ * Returns how long the game on a G court has been running
+ *
+ * @param {string} gCourtName - Game court identifier
+ * @returns {number|null} Elapsed milliseconds, or null if no game is running
+ */
+function getGameElapsed(gCourtName) {
+  const startedAt = gameStartTimes[gCourtName];
+  if (!startedAt || (courtTypes[gCourtName] || "training") === "training") {
+    return null;
+  }
+  return Math.max(0, Date.now() - startedAt);
+}
+
+function isGameOvertime(gCourtName) {
+  const limitMinutes = parseInt(settings.gameTimeLimit) || 0;
+  const elapsed = getGameElapsed(gCourtName);
+  return (
+    limitMinutes > 0 && elapsed !== null && elapsed >= limitMinutes * 60000
+  );
+}
+
+/**
+ * Shows the elapsed game time on every G court
+ * - Courts past settings.gameTimeLimit are highlighted
+ */
+function updateCourtTimers() {
+  getGameCourts().forEach((gCourtName) => {
+    const courtElement = document.getElementById(gCourtName + "-court");
+    if (!courtElement) return;
+
+    const timerElement = courtElement.querySelector(".court-timer");
+    const elapsed = getGameElapsed(gCourtName);
+    if (timerElement) {
+      if (elapsed === null) {
+        timerElement.textContent = "";
+      } else {
+        const seconds = Math.floor(elapsed / 1000);
+        timerElement.textContent = `${Math.floor(seconds / 60)}:${String(
+          seconds % 60
+        ).padStart(2, "0")}`;
+      }
+    }
+
+    courtElement.classList.toggle(
+      "court-overtime",
+      isGameOvertime(gCourtName)
+    );
+  });
+}
+
+/**
+ * Runs every second from startPeriodicCourtCheck
+ * - Updates the court timers
+ * - Plays a sound once per game when it reaches the time limit, and
+ *   finishes the game without a score when settings.autoRotate is on (see
+ *   autoRotateCourt)
+ * - Viewers only see the timers; they never rotate or play sounds
+ */
+function checkGameTimers() {
+  updateCourtTimers();
+  if (!canOrganize()) return;
+
+  getGameCourts().forEach((gCourtName) => {
+    const startedAt = gameStartTimes[gCourtName];
+    if (!isGameOvertime(gCourtName)) return;
+    if (timerAlerts[gCourtName] === startedAt) return;
+
+    timerAlerts[gCourtName] = startedAt;
+    console.log(`Game on ${gCourtName} reached the time limit`);
+    playTimerSound();
+
+    if (settings.autoRotate && !isDragging) {
+      autoRotateCourt(gCourtName, startedAt);
+    }
+  });
+}
+
+/**
+ * Rotates a court whose game reached the time limit
+ * - When following the live session, the game is claimed first so only one
+ *   organizer tab rotates it; offline, this tab rotates on its own
+ *
+ * @param {string} gCourtName - G court whose game is over time
+ * @param {number} startedAt - Start time of that game
+ */
+async function autoRotateCourt(gCourtName, startedAt) {
+  if (isSubscribedToSession && window.navigator.onLine && window.sessionDB) {
+    try {
+      const claimed = await window.sessionDB.claimAutoRotate(
+        gCourtName,
+        startedAt
+      );
+      if (!claimed) {
+        console.log(`${gCourtName} was already rotated by another organizer`);
+        return;
+      }
+    } catch (error) {
+      console.warn(`Couldn't claim ${gCourtName}, not auto-rotating:`, error);
+      return;
+    }
+  }
+
+  // The game may have been finished here while the claim was pending
+  if (gameStartTimes[gCourtName] !== startedAt || isDragging) return;
+
+  console.log(`Auto-rotating ${gCourtName} after the time limit`);
+  rotateCourtPlayers(gCourtName);
+}
+
+function playTimerSound() {
+  try {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+
+    const audio = new AudioContextClass();
+    const oscillator = audio.createOscillator();
+    oscillator.frequency.value = 880;
+    oscillator.connect(audio.destination);
+    oscillator.onended = () => audio.close();
+    oscillator.start();
+    oscillator.stop(audio.currentTime + 0.6);
+  } catch (error) {
+    console.warn("Couldn't play timer sound:", error);
+  }
+}
+
+function renderPlayerQueue() {
+  const queueLeft = document.getElementById("player-queue");
+  const queueRight = document.getElementById("player-queue-right");
+
+  if (!queueLeft || !queueRight) return;
+
+  queueLeft.innerHTML = '<div class="queue-header"></div>';
+  queueRight.innerHTML = '<div class="queue-header"></div>';
+
+  advancedQueue.forEach((playerIndex, position) => {
+    const player = players[playerIndex];
+    if (!player) return;
+
+    const playerDiv = document.createElement("div");
+    playerDiv.className = "player-box advanced-player queue-item";
+    if (player.id && player.id === getMyPlayerId()) {
+      playerDiv.classList.add("my-player");
+    }
+    playerDiv.dataset.playerIndex = playerIndex;
+    playerDiv.dataset.queueType = "advanced";
     playerDiv.dataset.position = position;
     playerDiv.innerHTML = `
       <span class="queue-number">${position + 1}</span>
       <span class="player-name">${player.name} (A)</span>
     `;
-    playerDiv.draggable = true;
-
-    playerDiv.ondragstart = (e) => {
-      isDragging = true;
-      dragPlayerIndex = playerIndex;
-      e.dataTransfer.effectAllowed = "move";
-      e.dataTransfer.setData(
-        "text/plain",
-        JSON.stringify({
-          playerIndex: playerIndex,
-          sourceQueue: "advanced",
-          sourcePosition: position,
-        })
-      );
-      playerDiv.classList.add("dragging");
-    };
+    if (!isViewerMode) {
+      playerDiv.draggable = true;
+
+      playerDiv.ondragstart = (e) => {
+        isDragging = true;
+        dragPlayerIndex = playerIndex;
+        e.dataTransfer.effectAllowed = "move";
+        e.dataTransfer.setData(
+          "text/plain",
+          JSON.stringify({
+            playerIndex: playerIndex,
+            sourceQueue: "advanced",
+            sourcePosition: position,
+          })
+        );
+        playerDiv.classList.add("dragging");
+      };
 
-    playerDiv.ondragend = () => {
-      isDragging = false;
-      playerDiv.classList.remove("dragging");
+      playerDiv.ondragend = () => {
+        isDragging = false;
+        playerDiv.classList.remove("dragging");
 
-      setTimeout(() => {
-        debouncedAutoFill();
-      }, 200);
-    };
+        setTimeout(() => {
+          debouncedAutoFill();
+        }, 200);
+      };
+    }
 
     queueLeft.appendChild(playerDiv);
   });
@@ -983,6 +2642,9 @@ function renderPlayerQueue() {
 
     const playerDiv = document.createElement("div");
     playerDiv.className = "player-box intermediate-player queue-item";
+    if (player.id && player.id === getMyPlayerId()) {
+      playerDiv.classList.add("my-player");
+    }
     playerDiv.dataset.playerIndex = playerIndex;
     playerDiv.dataset.queueType = "intermediate";
     playerDiv.dataset.position = position;
@@ -990,54 +2652,48 @@ function renderPlayerQueue() {
       <span class="queue-number">${position + 1}</span>
       <span class="player-name">${player.name} (I)</span>
     `;
-    playerDiv.draggable = true;
-
-    playerDiv.ondragstart = (e) => {
-      isDragging = true;
-      dragPlayerIndex = playerIndex;
-      e.dataTransfer.effectAllowed = "move";
-      e.dataTransfer.setData(
-        "text/plain",
-        JSON.stringify({
-          playerIndex: playerIndex,
-          sourceQueue: "intermediate",
-          sourcePosition: position,
-        })
-      );
-      playerDiv.classList.add("dragging");
-    };
+    if (!isViewerMode) {
+      playerDiv.draggable = true;
+
+      playerDiv.ondragstart = (e) => {
+        isDragging = true;
+        dragPlayerIndex = playerIndex;
+        e.dataTransfer.effectAllowed = "move";
+        e.dataTransfer.setData(
+          "text/plain",
+          JSON.stringify({
+            playerIndex: playerIndex,
+            sourceQueue: "intermediate",
+            sourcePosition: position,
+          })
+        );
+        playerDiv.classList.add("dragging");
+      };
 
-    playerDiv.ondragend = () => {
-      isDragging = false;
-      playerDiv.classList.remove("dragging");
+      playerDiv.ondragend = () => {
+        isDragging = false;
+        playerDiv.classList.remove("dragging");
 
-      setTimeout(() => {
-        debouncedAutoFill();
-      }, 200);
-    };
+        setTimeout(() => {
+          debouncedAutoFill();
+        }, 200);
+      };
+    }
 
     queueRight.appendChild(playerDiv);
   });
 
-  setupQueueReordering();
+  if (!isViewerMode) {
+    setupQueueReordering();
+  }
 }
 
 function renderCourtPlayers() {
-  [
-    "G1-court",
-    "G2-court",
-    "G3-court",
-    "G4-court",
-    "W1-court",
-    "W2-court",
-    "W3-court",
-    "W4-court",
-  ].forEach((courtId) => {
-    const courtElement = document.getElementById(courtId);
+  getAllCourts().forEach((courtName) => {
+    const courtElement = document.getElementById(courtName + "-court");
     if (courtElement) {
-      const courtLabel = courtId.replace("-court", "");
-      const courtType =
-        courtTypes[courtLabel] || courtTypes[courtId] || "training";
+      const courtType = courtTypes[courtName] || "training";
+      const courtRole = isGameCourt(courtName) ? "court-game" : "court-waiting";
 
       const courtPlayersContainer =
         courtElement.querySelector(".court-players");
@@ -1045,23 +2701,12 @@ function renderCourtPlayers() {
         courtPlayersContainer.innerHTML = "";
       }
 
-      courtElement.className = `court court-${courtType}`;
+      courtElement.className = `court ${courtRole} court-${courtType}`;
     }
   });
 
   Object.keys(courtAssignments).forEach((court) => {
-    const courtMapping = {
-      G1: "G1-court",
-      G2: "G2-court",
-      G3: "G3-court",
-      G4: "G4-court",
-      W1: "W1-court",
-      W2: "W2-court",
-      W3: "W3-court",
-      W4: "W4-court",
-    };
-
-    const courtId = courtMapping[court] || court + "-court";
+    const courtId = court + "-court";
     const courtElement = document.getElementById(courtId);
 
     if (courtElement && courtAssignments[court]) {
@@ -1069,7 +2714,8 @@ function renderCourtPlayers() {
         courtElement.querySelector(".court-players");
       if (!courtPlayersContainer) return;
 
-      const playersOnCourt = courtAssignments[court].slice(0, 4);
+      const capacity = getCourtCapacity(court);
+      const playersOnCourt = courtAssignments[court].slice(0, capacity);
 
       playersOnCourt.forEach((playerIndex) => {
         const player = players[playerIndex];
@@ -1081,6 +2727,9 @@ function renderCourtPlayers() {
             ? "advanced-player"
             : "intermediate-player"
         }`;
+        if (player.id && player.id === getMyPlayerId()) {
+          playerDiv.classList.add("my-player");
+        }
         playerDiv.textContent = `${player.name} (${
           player.qualification === "advanced" ? "A" : "I"
         })`;
@@ -1094,31 +2743,44 @@ function renderCourtPlayers() {
           text-overflow: ellipsis;
           white-space: nowrap;
         `;
-        playerDiv.draggable = true;
-        playerDiv.ondragstart = (e) => {
-          isDragging = true;
-          dragPlayerIndex = playerIndex;
-          e.dataTransfer.effectAllowed = "move";
-          playerDiv.classList.add("dragging");
-        };
-        playerDiv.ondragend = () => {
-          isDragging = false;
-          playerDiv.classList.remove("dragging");
-
-          setTimeout(() => {
-            debouncedAutoFill();
-          }, 200);
-        };
+        if (!isViewerMode) {
+          playerDiv.draggable = true;
+          playerDiv.ondragstart = (e) => {
+            isDragging = true;
+            dragPlayerIndex = playerIndex;
+            e.dataTransfer.effectAllowed = "move";
+            playerDiv.classList.add("dragging");
+          };
+          playerDiv.ondragend = () => {
+            isDragging = false;
+            playerDiv.classList.remove("dragging");
+
+            setTimeout(() => {
+              debouncedAutoFill();
+            }, 200);
+          };
+        }
         courtPlayersContainer.appendChild(playerDiv);
+
+        if (
+          playersOnCourt.length === capacity &&
+          playerIndex === playersOnCourt[capacity / 2 - 1]
+        ) {
+          const versusDiv = document.createElement("div");
+          versusDiv.className = "court-versus";
+          versusDiv.textContent = "A vs B";
+          courtPlayersContainer.appendChild(versusDiv);
+        }
       });
 
-      if (courtAssignments[court].length > 4) {
-        const extraPlayers = courtAssignments[court].slice(4);
+      // Viewers only show what the organizer published
+      if (!isFollowingSession && courtAssignments[court].length > capacity) {
+        const extraPlayers = courtAssignments[court].slice(capacity);
         extraPlayers.forEach((playerIndex) => {
           const player = players[playerIndex];
           if (player) {
             console.log(
-              `Moving ${player.name} back to queue - court ${court} is full (max 4 players)`
+              `Moving ${player.name} back to queue - court ${court} is full (max ${capacity} players)`
             );
 
             const queueType =
@@ -1131,10 +2793,11 @@ function renderCourtPlayers() {
   });
 
   updateCourtDropdowns();
+  updateCourtTimers();
 }
 
 function updateCourtDropdowns() {
-  ["G1", "G2", "G3", "G4", "W1", "W2", "W3", "W4"].forEach((courtName) => {
+  getAllCourts().forEach((courtName) => {
     const courtElement = document.getElementById(courtName + "-court");
     if (courtElement) {
       const dropdown = courtElement.querySelector(".court-type-dropdown");
@@ -1142,11 +2805,29 @@ function updateCourtDropdowns() {
         const currentType = courtTypes[courtName] || "intermediate";
         dropdown.value = currentType;
 
-        if (courtName.startsWith("W")) {
+        if (isWaitingCourt(courtName)) {
           dropdown.disabled = true;
           dropdown.title = `Type is inherited from ${courtPairs[courtName]}`;
         }
       }
+
+      const modeDropdown = courtElement.querySelector(".court-mode-dropdown");
+      if (modeDropdown) {
+        modeDropdown.value = getCourtMode(courtName);
+      }
+
+      const typeLabel = courtElement.querySelector(".court-type-label");
+      if (typeLabel) {
+        const courtType = courtTypes[courtName] || "training";
+        typeLabel.textContent =
+          courtType.charAt(0).toUpperCase() +
+          courtType.slice(1) +
+          (getCourtMode(courtName) === "singles" ? " · Singles" : "");
+      }
+      courtElement.classList.toggle(
+        "court-singles",
+        getCourtMode(courtName) === "singles"
+      );
     }
   });
 }
@@ -1224,16 +2905,10 @@ function getDragAfterElement(container, y) {
 }
 
 function setupDropTargets() {
-  const courtAreas = [
-    { id: "G1-court", status: "G1" },
-    { id: "G2-court", status: "G2" },
-    { id: "G3-court", status: "G3" },
-    { id: "G4-court", status: "G4" },
-    { id: "W1-court", status: "W1" },
-    { id: "W2-court", status: "W2" },
-    { id: "W3-court", status: "W3" },
-    { id: "W4-court", status: "W4" },
-  ];
+  const courtAreas = getAllCourts().map((courtName) => ({
+    id: courtName + "-court",
+    status: courtName,
+  }));
 
   courtAreas.forEach(({ id, status }) => {
     const element = document.getElementById(id);
@@ -1306,20 +2981,40 @@ function setupDropTargets() {
 }
 
 async function addPlayer() {
+  if (!requireRole("organizer", "add players")) return;
   let name;
+  let email;
   let nameIsValid = false;
 
   while (!nameIsValid) {
     name = prompt("Enter player name:");
     if (!name || !name.trim()) return;
+    const nameProblem = getPlayerNameProblem(name.trim());
+    if (nameProblem) {
+      alert(nameProblem + ".");
+      continue;
+    }
+
+    email = prompt("Enter WPI email (optional):", "");
+    if (email === null) return;
+    email = normalizeEmail(email);
+    if (email && !EMAIL_PATTERN.test(email)) {
+      alert(`"${email}" is not a valid email address.`);
+      continue;
+    }
 
     if (window.navigator.onLine && window.playersDB) {
       try {
-        const checkResult = await window.playersDB.checkNameExists(name);
+        const checkResult = await window.playersDB.checkNameExists(
+          name,
+          email
+        );
 
         if (checkResult.exists) {
           alert(
-            `Name "${name}" already exists. Please choose a different name or add a number/initial.`
+            checkResult.matchedBy === "email"
+              ? `${email} already belongs to "${checkResult.matchingNames[0]}". Find them in the player pool instead.`
+              : `Name "${name}" already exists. Please choose a different name or add a number/initial.`
           );
           continue;
         } else {
@@ -1368,6 +3063,7 @@ async function addPlayer() {
     const newPlayer = {
       id: tempId,
       name: name.trim(),
+      ...(email && { email: email }),
       qualification: qualification,
       status: status,
       order: Date.now(),
@@ -1377,6 +3073,10 @@ async function addPlayer() {
     };
 
     players.push(newPlayer);
+    logAction("add-player", `${newPlayer.name} added`, null, {
+      qualification: qualification,
+      status: status,
+    });
 
     initializePlayerArrays();
     renderPlayerQueue();
@@ -1384,23 +3084,12 @@ async function addPlayer() {
 
     console.log("Added player " + name + " (" + qualification + ") to memory");
 
-    if (window.navigator.onLine && window.playersDB) {
-      try {
-        const playerId = await window.playersDB.addPlayer({
-          name: name.trim(),
-          qualification: qualification,
-        });
-
-        newPlayer.id = playerId;
-        newPlayer.isNew = false;
-
-        console.log("Also added player to Firebase with ID:", playerId);
-      } catch (e) {
-        console.warn("Couldn't add player to Firebase:", e);
-
-        alert("Error adding player to database: " + e.message);
-      }
-    }
+    enqueueWrite("addPlayer", {
+      tempId: tempId,
+      name: newPlayer.name,
+      qualification: qualification,
+      profile: getNonDefaultProfile(newPlayer),
+    });
   } catch (error) {
     console.error("Failed to add player:", error);
     alert("Failed to add player: " + error.message);
@@ -1409,6 +3098,7 @@ async function addPlayer() {
 }
 
 async function deletePlayer() {
+  if (!requireRole("admin", "delete players")) return;
   const name = prompt("Enter player name to delete:");
   if (!name || !name.trim()) return;
 
@@ -1427,16 +3117,14 @@ async function deletePlayer() {
 
   try {
     console.log("Deleting player from memory...");
+    logAction(
+      "delete-player",
+      `${player.name} deleted`,
+      { qualification: player.qualification, status: player.status },
+      null
+    );
 
-    if (player.isNew) {
-      players.splice(playerIndex, 1);
-      console.log("Removed new player " + player.name + " from memory");
-    } else {
-      if (!deletedPlayers) deletedPlayers = [];
-      deletedPlayers.push(player.id);
-
-      players.splice(playerIndex, 1);
-    }
+    players.splice(playerIndex, 1);
 
     initializePlayerArrays();
     renderPlayerQueue();
@@ -1445,17 +3133,7 @@ async function deletePlayer() {
 
     console.log("Deleted player " + player.name + " from memory");
 
-    if (window.navigator.onLine && window.playersDB && !player.isNew) {
-      try {
-        await window.playersDB.deletePlayer(player.id);
-        console.log("Also deleted player from Firebase");
-      } catch (e) {
-        console.warn(
-          "Couldn't delete player from Firebase (will sync later):",
-          e
-        );
-      }
-    }
+    enqueueWrite("deletePlayer", { playerId: player.id });
   } catch (error) {
     console.error("Failed to delete player:", error);
     alert("Failed to delete player: " + error.message);
@@ -1464,7 +3142,8 @@ async function deletePlayer() {
 }
 
 async function showAdvanceMenu() {
-  const courts = ["G1", "G2", "G3", "G4", "W1", "W2", "W3", "W4"];
+  if (!requireRole("organizer", "move players")) return;
+  const courts = getAllCourts();
   const courtOptions = courts
     .map((court, index) => index + 1 + ". " + court)
     .join("\n");
@@ -1472,7 +3151,7 @@ async function showAdvanceMenu() {
   const courtChoice = prompt(
     "Choose a court to advance the next player to:\n\n" +
       courtOptions +
-      "\n\nEnter court number (1-8):"
+      `\n\nEnter court number (1-${courts.length}):`
   );
 
   const courtIndex = parseInt(courtChoice) - 1;
@@ -1512,225 +3191,2672 @@ window.addEventListener("beforeunload", () => {
   }
 });
 
-function saveToLocalStorage() {
-  refreshAllPlayers();
+/**
+ * Upgrades session data saved in an older format, one version at a time
+ * - Version 1 is the unversioned data saveToLocalStorage used to write:
+ *   players, allPlayers, courtTypes and deletedPlayers, plus whichever
+ *   later fields existed when it was saved
+ */
+const SESSION_MIGRATIONS = {
+  1: (data) => ({
+    ...data,
+    format: SESSION_FILE_FORMAT,
+    version: 2,
+    players: data.players || [],
+    allPlayers: Array.isArray(data.allPlayers)
+      ? data.allPlayers
+      : [...(data.players || [])],
+    courtTypes: data.courtTypes || {},
+    courtModes: data.courtModes || {},
+    deletedPlayers: data.deletedPlayers || [],
+    gameHistory: data.gameHistory || [],
+    auditLog: data.auditLog || [],
+    gameStartTimes: data.gameStartTimes || {},
+    playerStats: data.playerStats || {},
+    queuePolicy: data.queuePolicy || "fifo",
+    venue: data.venue || null,
+    session: data.session || null,
+  }),
+};
 
-  const data = {
+/**
+ * Builds the versioned session data used for the local backup and for
+ * session export
+ * - Queue state is carried by each player's status and order
+ *
+ * @returns {Object} Session data in the current format
+ */
+function buildSessionSnapshot() {
+  return {
+    format: SESSION_FILE_FORMAT,
+    version: SESSION_FORMAT_VERSION,
+    lastSaved: new Date().toISOString(),
+    venue: venue,
+    session: currentSession,
     players: players,
     allPlayers: allPlayers,
     courtTypes: courtTypes,
+    courtModes: courtModes,
     deletedPlayers: deletedPlayers || [],
-    lastSaved: new Date().toISOString(),
+    gameHistory: gameHistory,
+    auditLog: auditLog,
+    gameStartTimes: gameStartTimes,
+    playerStats: playerStats,
+    queuePolicy: queuePolicy,
   };
+}
 
-  try {
-    localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(data));
-    console.log("Saved data to local storage");
-  } catch (error) {
-    console.error("Failed to save to local storage:", error);
+/**
+ * Brings session data of any known version up to the current format
+ *
+ * @param {Object} data - Parsed session data
+ * @returns {Object} Session data in the current format
+ * @throws {Error} When the data isn't session data or its version is unknown
+ */
+function migrateSessionData(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("The file does not contain session data.");
+  }
+  if (data.format && data.format !== SESSION_FILE_FORMAT) {
+    throw new Error("This is not a badminton queue session file.");
   }
-}
 
-function loadFromLocalStorage() {
-  try {
-    const data = localStorage.getItem(LOCAL_STORAGE_KEY);
-    if (!data) {
-      console.log("No local data found");
-      return false;
-    }
+  let migrated = data;
+  let version = data.version === undefined ? 1 : data.version;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(
+      `Unknown session format version "${version}". The file may be damaged.`
+    );
+  }
+  if (version > SESSION_FORMAT_VERSION) {
+    throw new Error(
+      `The file uses format version ${version}, which is newer than this app supports (${SESSION_FORMAT_VERSION}). Please update the app.`
+    );
+  }
 
-    const parsedData = JSON.parse(data);
-    if (!parsedData.players || !parsedData.players.length) {
-      console.log("Invalid local data - missing players");
-      return false;
-    }
+  while (version < SESSION_FORMAT_VERSION) {
+    migrated = SESSION_MIGRATIONS[version](migrated);
+    version = migrated.version;
+    console.log(`Migrated session data to version ${version}`);
+  }
+  return migrated;
+}
 
-    console.log("Found local data from:", parsedData.lastSaved);
+/**
+ * Checks that session data in the current format is safe to load
+ * - Players need an id, a name that passes getPlayerNameProblem and a
+ *   known qualification, and must be in a queue or on a court of the venue
+ * - Court types and modes, the queue policy and games must be known values;
+ *   names recorded with games follow the same name rule
+ *
+ * @param {Object} data - Session data returned by migrateSessionData
+ * @returns {string|null} What is wrong, or null when the data is valid
+ */
+function validateSessionData(data) {
+  const isObject = (value) =>
+    !!value && typeof value === "object" && !Array.isArray(value);
 
-    players = parsedData.players;
+  if (!Array.isArray(data.players) || !Array.isArray(data.allPlayers)) {
+    return "The file has no player list.";
+  }
 
-    if (parsedData.allPlayers && Array.isArray(parsedData.allPlayers)) {
-      allPlayers = parsedData.allPlayers;
-    } else {
-      allPlayers = [...players];
-    }
+  if (data.venue) {
+    const problem = validateVenue(data.venue);
+    if (problem) return problem;
+  }
+  const courts = getAllCourts(data.venue || venue);
+  const statuses = ["queue-advanced", "queue-intermediate", ...courts];
 
-    players.forEach((player) => {
-      if (player.isActive === undefined) {
-        player.isActive = true;
-      }
+  for (const player of [...data.players, ...data.allPlayers]) {
+    if (
+      !isObject(player) ||
+      typeof player.id !== "string" ||
+      typeof player.name !== "string" ||
+      !player.name.trim()
+    ) {
+      return "Every player needs an id and a name.";
+    }
+    const nameProblem = getPlayerNameProblem(player.name.trim());
+    if (nameProblem) {
+      return `Player "${player.name}": ${nameProblem}.`;
+    }
+    if (!["advanced", "intermediate"].includes(player.qualification)) {
+      return `${player.name} has an unknown qualification "${player.qualification}".`;
+    }
+  }
+  for (const player of data.players) {
+    if (player.status && !statuses.includes(player.status)) {
+      return `${player.name} is on "${player.status}", which is not a queue or a court of this venue.`;
+    }
+  }
+
+  if (!isObject(data.courtTypes) || !isObject(data.courtModes)) {
+    return "Court types and modes are missing.";
+  }
+  const unknownCourt = [
+    ...Object.keys(data.courtTypes),
+    ...Object.keys(data.courtModes),
+  ].find((courtName) => !courts.includes(courtName));
+  if (unknownCourt) {
+    return `"${unknownCourt}" is not a court of this venue.`;
+  }
+  const badType = Object.values(data.courtTypes).find(
+    (type) => !COURT_TYPES.includes(type)
+  );
+  if (badType) return `Unknown court type "${badType}".`;
+  const badMode = Object.values(data.courtModes).find(
+    (mode) => !COURT_CAPACITY[mode]
+  );
+  if (badMode) return `Unknown court mode "${badMode}".`;
+
+  if (!QUEUE_POLICIES.includes(data.queuePolicy)) {
+    return `Unknown queue order "${data.queuePolicy}".`;
+  }
+
+  if (!Array.isArray(data.gameHistory)) return "The game history is missing.";
+  const badGame = data.gameHistory.find(
+    (game) =>
+      !isObject(game) ||
+      typeof game.id !== "string" ||
+      !Array.isArray(game.players) ||
+      typeof game.startedAt !== "number" ||
+      typeof game.endedAt !== "number"
+  );
+  if (badGame) return "A game in the history is incomplete.";
+  const badGamePlayer = data.gameHistory
+    .flatMap((game) => game.players)
+    .find(
+      (player) =>
+        !isObject(player) ||
+        typeof player.name !== "string" ||
+        getPlayerNameProblem(player.name.trim())
+    );
+  if (badGamePlayer) {
+    return "A game in the history has a player without a valid name.";
+  }
+
+  if (
+    !Array.isArray(data.auditLog) ||
+    !Array.isArray(data.deletedPlayers) ||
+    !isObject(data.gameStartTimes) ||
+    !isObject(data.playerStats)
+  ) {
+    return "The file is missing part of the session.";
+  }
+
+  return null;
+}
+
+/**
+ * Loads session data in the current format into the app
+ * - Shared by the local backup and session import
+ *
+ * @param {Object} data - Session data returned by migrateSessionData
+ */
+function applySessionSnapshot(data) {
+  players = data.players;
+  allPlayers = data.allPlayers.length ? data.allPlayers : [...players];
+
+  players.forEach((player) => {
+    if (player.isActive === undefined) {
+      player.isActive = true;
+    }
+  });
+
+  allPlayers.forEach((player) => {
+    if (player.isActive === undefined) {
+      player.isActive = true;
+    }
+  });
+
+  courtTypes = data.courtTypes;
+  deletedPlayers = data.deletedPlayers;
+  gameHistory = data.gameHistory;
+  gameStartTimes = data.gameStartTimes;
+  auditLog = data.auditLog;
+  courtModes = data.courtModes;
+  playerStats = data.playerStats;
+  queuePolicy = data.queuePolicy;
+  currentSession = data.session || null;
+
+  // Print out the saved court types
+  console.log("Loaded court types from previous session:");
+  getAllCourts().forEach((courtName) => {
+    const type = courtTypes[courtName] || "intermediate";
+    console.log(`${courtName}: ${type}`);
+  });
+
+  initializePlayerArrays();
+
+  syncWCourtTypes();
+
+  renderPlayerQueue();
+  renderCourtPlayers();
+  updateCourtDropdowns();
+  renderQueuePolicy();
+  renderSessionInfo();
+  renderGameHistory();
+  renderAuditLog();
+}
+
+function saveToLocalStorage() {
+  if (isFollowingSession) return;
+
+  refreshAllPlayers();
+
+  const data = buildSessionSnapshot();
+
+  try {
+    localStorage.setItem(LOCAL_STORAGE_KEY, JSON.stringify(data));
+    console.log("Saved data to local storage");
+  } catch (error) {
+    console.error("Failed to save to local storage:", error);
+  }
+
+  schedulePublishSessionState();
+}
+
+function loadFromLocalStorage() {
+  try {
+    const data = localStorage.getItem(LOCAL_STORAGE_KEY);
+    if (!data) {
+      console.log("No local data found");
+      return false;
+    }
+
+    const parsedData = migrateSessionData(JSON.parse(data));
+    currentSession = parsedData.session || null;
+    renderSessionInfo();
+
+    if (!parsedData.players.length) {
+      console.log("Invalid local data - missing players");
+      return false;
+    }
+
+    console.log("Found local data from:", parsedData.lastSaved);
+
+    // The venue is restored separately from its own key (see loadVenue)
+    applySessionSnapshot(parsedData);
+
+    console.log("Loaded data from local storage");
+    return true;
+  } catch (error) {
+    console.error("Failed to load from local storage:", error);
+  }
+
+  return false;
+}
+
+/**
+ * Downloads the whole session as a versioned JSON file
+ * - Covers players, queues, courts, games, stats and the audit log, so it
+ *   can be imported on another laptop
+ */
+function exportSessionFile() {
+  refreshAllPlayers();
+
+  downloadFile(
+    `badminton-session-${formatSessionDate(Date.now())}.json`,
+    JSON.stringify(buildSessionSnapshot(), null, 2),
+    "application/json"
+  );
+}
+
+function openSessionImport() {
+  if (!requireRole("organizer", "import a session")) return;
+  document.getElementById("session-import-file").click();
+}
+
+/**
+ * Replaces the current session with one from an exported JSON file
+ * - Older files are migrated and every file is validated before anything
+ *   changes
+ * - Games are saved to the database again in case they never reached it
+ *   from the laptop that exported them
+ * - Can't be undone: undo doesn't cover the audit log, stats or the
+ *   session record the file replaces, so the undo history is cleared
+ */
+async function importSessionFile(input) {
+  const file = input.files && input.files[0];
+  input.value = "";
+  if (!file) return;
+  if (!requireRole("organizer", "import a session")) return;
+
+  try {
+    const data = migrateSessionData(JSON.parse(await file.text()));
+    const problem = validateSessionData(data);
+    if (problem) {
+      alert("Cannot import this file: " + problem);
+      return;
+    }
+
+    const activeCount = data.players.filter(
+      (player) => player.isActive !== false
+    ).length;
+    const savedText = data.lastSaved
+      ? ` saved ${new Date(data.lastSaved).toLocaleString()}`
+      : "";
+    if (
+      !confirm(
+        `Replace the current session with ${file.name}${savedText}?\n\nIt has ${activeCount} active players and ${data.gameHistory.length} games.\n\nThis can't be undone.`
+      )
+    ) {
+      return;
+    }
+
+    clearUndoHistory();
+    if (data.venue && !isSameVenue(data.venue, venue)) {
+      useVenue(data.venue);
+    }
+    applySessionSnapshot(data);
+    gameHistory.forEach((game) => {
+      game.synced = false;
+    });
+
+    logAction("import-session", `Session imported from ${file.name}`, null, {
+      players: activeCount,
+      games: gameHistory.length,
+    });
+    saveToLocalStorage();
+    syncWithFirebase();
+    alert("Session imported.");
+  } catch (error) {
+    console.error("Failed to import session:", error);
+    alert("Failed to import the session: " + error.message);
+  }
+}
+
+/**
+ * Serializes the parts of the session that undo/redo restore
+ * - Players (court, queue order, qualification, ratings), court types and
+ *   modes, the venue and this session's games
+ *
+ * @returns {string} Snapshot of the current state
+ */
+function takeUndoSnapshot() {
+  return JSON.stringify({
+    players: players,
+    allPlayers: allPlayers,
+    courtTypes: courtTypes,
+    courtModes: courtModes,
+    gameHistory: gameHistory.map(({ synced, ...game }) => game),
+    gameStartTimes: gameStartTimes,
+    venue: venue,
+  });
+}
+
+/**
+ * Remembers the current state before an organizer action
+ * - Call it right before the action changes anything
+ * - Starting a new action clears the redo history
+ *
+ * @param {string} label - Short description of the action, shown on the buttons
+ */
+function captureUndoSnapshot(label) {
+  if (isFollowingSession) return;
+
+  undoStack.push({ label: label, snapshot: takeUndoSnapshot() });
+  if (undoStack.length > MAX_UNDO_STEPS) {
+    undoStack.shift();
+  }
+  redoStack = [];
+  renderUndoButtons();
+}
+
+function clearUndoHistory() {
+  undoStack = [];
+  redoStack = [];
+  renderUndoButtons();
+}
+
+/**
+ * Converts a session document to the shape of an undo snapshot
+ */
+function toUndoState(sessionState) {
+  return {
+    players: sessionState.roster || [],
+    allPlayers: [],
+    courtTypes: sessionState.courtTypes || {},
+    courtModes: sessionState.courtModes || {},
+    gameStartTimes: sessionState.gameStarts || {},
+    gameHistory: sessionState.games || [],
+  };
+}
+
+/**
+ * Lists what differs between two undo states
+ * - Players whose court, queue position or qualification differ, or who
+ *   are active in only one of them
+ * - Courts whose type, mode or game start differ, and games added or
+ *   removed
+ *
+ * @returns {{playerIds: Set, courts: Set, addedGameIds: Set, removedGameIds: Set}}
+ */
+function diffUndoStates(before, after) {
+  const activeById = (state) => {
+    const byId = {};
+    state.players
+      .filter((player) => player.isActive !== false)
+      .forEach((player) => {
+        byId[player.id] = player;
+      });
+    return byId;
+  };
+  const beforePlayers = activeById(before);
+  const afterPlayers = activeById(after);
+  const playerIds = new Set(
+    [...Object.keys(beforePlayers), ...Object.keys(afterPlayers)].filter(
+      (playerId) =>
+        !isSameRosterEntry(beforePlayers[playerId], afterPlayers[playerId])
+    )
+  );
+
+  const courts = new Set();
+  ["courtTypes", "courtModes", "gameStartTimes"].forEach((field) => {
+    const valuesBefore = before[field] || {};
+    const valuesAfter = after[field] || {};
+    [...Object.keys(valuesBefore), ...Object.keys(valuesAfter)]
+      .filter((court) => valuesBefore[court] !== valuesAfter[court])
+      .forEach((court) => courts.add(court));
+  });
+
+  const beforeGameIds = new Set(before.gameHistory.map((game) => game.id));
+  const afterGameIds = new Set(after.gameHistory.map((game) => game.id));
+  return {
+    playerIds: playerIds,
+    courts: courts,
+    addedGameIds: new Set(
+      [...afterGameIds].filter((id) => !beforeGameIds.has(id))
+    ),
+    removedGameIds: new Set(
+      [...beforeGameIds].filter((id) => !afterGameIds.has(id))
+    ),
+  };
+}
+
+/**
+ * Carries another organizer's changes into an undo state, taking the
+ * changed players, courts and games from the current state
+ */
+function applyRemoteChangesToUndoState(state, changes, current) {
+  changes.playerIds.forEach((playerId) => {
+    const currentPlayer = current.players.find((p) => p.id === playerId);
+    const currentInAll = current.allPlayers.find((p) => p.id === playerId);
+    state.players = state.players.filter((p) => p.id !== playerId);
+    state.allPlayers = state.allPlayers.filter((p) => p.id !== playerId);
+    if (currentPlayer) state.players.push(currentPlayer);
+    if (currentInAll) state.allPlayers.push(currentInAll);
+  });
+
+  changes.courts.forEach((court) => {
+    ["courtTypes", "courtModes", "gameStartTimes"].forEach((field) => {
+      state[field] = state[field] || {};
+      if (current[field][court] === undefined) {
+        delete state[field][court];
+      } else {
+        state[field][court] = current[field][court];
+      }
+    });
+  });
+
+  const stateGameIds = new Set(state.gameHistory.map((game) => game.id));
+  state.gameHistory = [
+    ...state.gameHistory.filter((game) => !changes.removedGameIds.has(game.id)),
+    ...current.gameHistory.filter(
+      (game) => changes.addedGameIds.has(game.id) && !stateGameIds.has(game.id)
+    ),
+  ].sort((a, b) => a.endedAt - b.endedAt);
+
+  return state;
+}
+
+/**
+ * Keeps undo/redo usable after another organizer's change arrives
+ * - Steps that moved the same players or changed the same courts can't be
+ *   undone without reverting that change, so they are dropped together
+ *   with everything older
+ * - The remaining steps get the other organizer's change applied, so
+ *   undoing them only reverts this organizer's own actions
+ *
+ * @param {Object|null} previousBase - Session document before the change
+ * @param {Object} remote - Session document with the other organizer's change
+ * @param {string} localSnapshot - Undo snapshot taken before merging it
+ */
+function rebaseUndoHistory(previousBase, remote, localSnapshot) {
+  if (undoStack.length === 0 && redoStack.length === 0) return;
+  if (!previousBase || !isSameVenue(previousBase.venue, remote.venue)) {
+    clearUndoHistory();
+    return;
+  }
+
+  const remoteChanges = diffUndoStates(
+    toUndoState(previousBase),
+    toUndoState(remote)
+  );
+  const current = JSON.parse(takeUndoSnapshot());
+  const overlapsRemote = (changes) =>
+    [...changes.playerIds].some((id) => remoteChanges.playerIds.has(id)) ||
+    [...changes.courts].some((court) => remoteChanges.courts.has(court));
+
+  // Each step changed the difference between its snapshot and the state
+  // the stack returns to before it (the newest step: the local state)
+  const rebaseStack = (stack) => {
+    const states = stack.map((entry) => JSON.parse(entry.snapshot));
+    let keepFrom = 0;
+    let next = JSON.parse(localSnapshot);
+    for (let i = states.length - 1; i >= 0; i--) {
+      if (overlapsRemote(diffUndoStates(states[i], next))) {
+        keepFrom = i + 1;
+        break;
+      }
+      next = states[i];
+    }
+
+    return stack.slice(keepFrom).map((entry, index) => ({
+      label: entry.label,
+      snapshot: JSON.stringify(
+        applyRemoteChangesToUndoState(
+          states[keepFrom + index],
+          remoteChanges,
+          current
+        )
+      ),
+    }));
+  };
+
+  const undoCount = undoStack.length;
+  undoStack = rebaseStack(undoStack);
+  redoStack = rebaseStack(redoStack);
+  if (undoStack.length < undoCount) {
+    console.log(
+      `Dropped ${undoCount - undoStack.length} undo step(s) that another organizer's change overlaps`
+    );
+  }
+  renderUndoButtons();
+}
+
+/**
+ * Restores a snapshot taken by takeUndoSnapshot
+ * - Games that disappear are deleted from the games collection (or never
+ *   sent if they were still pending); games that come back are saved again
+ *   on the next sync
+ * - Changed ratings are marked so the next sync writes them
+ *
+ * @param {string} snapshot - Serialized state
+ */
+function restoreUndoSnapshot(snapshot) {
+  const state = JSON.parse(snapshot);
+  const restoredGameIds = new Set(state.gameHistory.map((game) => game.id));
+  const currentGames = {};
+  gameHistory.forEach((game) => {
+    currentGames[game.id] = game;
+  });
+  const previousRatings = {};
+  allPlayers.forEach((player) => {
+    previousRatings[player.id] = player.rating;
+  });
+
+  gameHistory
+    .filter((game) => !restoredGameIds.has(game.id))
+    .forEach(deleteGameFromDatabase);
+
+  if (!isSameVenue(state.venue, venue)) {
+    useVenue(state.venue);
+  }
+
+  players = state.players;
+  allPlayers = state.allPlayers;
+  courtTypes = state.courtTypes;
+  courtModes = state.courtModes || {};
+  gameStartTimes = state.gameStartTimes;
+  gameHistory = state.gameHistory.map((game) => ({
+    ...game,
+    synced: !!(currentGames[game.id] && currentGames[game.id].synced),
+  }));
+
+  [...players, ...allPlayers].forEach((player) => {
+    if (player.rating !== previousRatings[player.id]) {
+      player.ratingModified = true;
+    }
+  });
+
+  initializePlayerArrays();
+  renderPlayerQueue();
+  renderCourtPlayers();
+  updateCourtDropdowns();
+  renderGameHistory();
+  saveToLocalStorage();
+}
+
+function undoLastAction() {
+  if (!requireRole("organizer", "undo changes")) return;
+  const entry = undoStack.pop();
+  if (!entry) return;
+
+  redoStack.push({ label: entry.label, snapshot: takeUndoSnapshot() });
+  restoreUndoSnapshot(entry.snapshot);
+  logAction("undo", `Undid: ${entry.label}`);
+  console.log(`Undid: ${entry.label}`);
+  renderUndoButtons();
+}
+
+function redoLastAction() {
+  if (!requireRole("organizer", "redo changes")) return;
+  const entry = redoStack.pop();
+  if (!entry) return;
+
+  undoStack.push({ label: entry.label, snapshot: takeUndoSnapshot() });
+  restoreUndoSnapshot(entry.snapshot);
+  logAction("redo", `Redid: ${entry.label}`);
+  console.log(`Redid: ${entry.label}`);
+  renderUndoButtons();
+}
+
+function renderUndoButtons() {
+  const undoButton = document.getElementById("undo-btn");
+  const redoButton = document.getElementById("redo-btn");
+  const lastUndo = undoStack[undoStack.length - 1];
+  const lastRedo = redoStack[redoStack.length - 1];
+
+  if (undoButton) {
+    undoButton.disabled = !lastUndo;
+    undoButton.title = lastUndo ? `Undo: ${lastUndo.label}` : "Nothing to undo";
+  }
+  if (redoButton) {
+    redoButton.disabled = !lastRedo;
+    redoButton.title = lastRedo ? `Redo: ${lastRedo.label}` : "Nothing to redo";
+  }
+}
+
+/**
+ * Binds Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y (Cmd on macOS) to undo and redo
+ * - Ignored while typing in a form field
+ */
+function setupUndoShortcuts() {
+  document.addEventListener("keydown", (e) => {
+    if (isFollowingSession || !(e.ctrlKey || e.metaKey)) return;
+    if (e.target.closest && e.target.closest("input, textarea, select")) {
+      return;
+    }
+
+    const key = e.key.toLowerCase();
+    if (key === "z" && !e.shiftKey) {
+      e.preventDefault();
+      undoLastAction();
+    } else if ((key === "z" && e.shiftKey) || key === "y") {
+      e.preventDefault();
+      redoLastAction();
+    }
+  });
+}
+
+function loadSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || "{}");
+    settings = { ...DEFAULT_SETTINGS, ...saved };
+  } catch (error) {
+    console.error("Failed to load settings:", error);
+    settings = { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Changes an organizer setting and remembers it on this device
+ *
+ * @param {string} key - Setting name (see DEFAULT_SETTINGS)
+ * @param {*} value - New value
+ */
+function updateSetting(key, value) {
+  settings[key] = value;
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  console.log(`Setting ${key} changed to ${value}`);
+  renderSettings();
+}
+
+/**
+ * Reflects the current settings in the controls on dashboard.html
+ * - Inputs use ids of the form setting-<setting name>
+ */
+function renderSettings() {
+  Object.keys(settings).forEach((key) => {
+    const input = document.getElementById(`setting-${key}`);
+    if (!input) return;
+
+    if (input.type === "checkbox") {
+      input.checked = !!settings[key];
+    } else {
+      input.value = settings[key];
+    }
+  });
+}
+
+/**
+ * Returns the game courts of a venue in display order
+ *
+ * @param {Object} layout - Venue to read (defaults to the current one)
+ * @returns {Array} Game court names
+ */
+function getGameCourts(layout = venue) {
+  return layout.courts.map((court) => court.game);
+}
+
+/**
+ * Returns every court of a venue, game courts first
+ *
+ * @param {Object} layout - Venue to read (defaults to the current one)
+ * @returns {Array} Game and waiting court names
+ */
+function getAllCourts(layout = venue) {
+  const waitingCourts = layout.courts
+    .filter((court) => court.waiting)
+    .map((court) => court.waiting);
+  return [...getGameCourts(layout), ...waitingCourts];
+}
+
+function isGameCourt(courtName, layout = venue) {
+  return layout.courts.some((court) => court.game === courtName);
+}
+
+function isWaitingCourt(courtName, layout = venue) {
+  return layout.courts.some((court) => court.waiting === courtName);
+}
+
+/**
+ * Maps every game court to its waiting court and back
+ * - Game courts without a waiting court have no entry
+ *
+ * @param {Object} layout - Venue configuration
+ * @returns {Object} Court name to paired court name
+ */
+function buildCourtPairs(layout) {
+  const pairs = {};
+  layout.courts.forEach((court) => {
+    if (!court.waiting) return;
+    pairs[court.game] = court.waiting;
+    pairs[court.waiting] = court.game;
+  });
+  return pairs;
+}
+
+function isSameVenue(a, b) {
+  return JSON.stringify(a || null) === JSON.stringify(b || null);
+}
+
+/**
+ * Checks a venue configuration before it is used
+ * - Needs at least one game court
+ * - Court names are used in element ids, so they are limited to letters,
+ *   digits, "-" and "_", must be unique and can't look like a queue status
+ * - The venue name can't contain < or >, like player names
+ *
+ * @param {Object} layout - Venue configuration ({ name, courts: [{ game, waiting }] })
+ * @returns {string|null} What is wrong with the venue, or null if it is valid
+ */
+function validateVenue(layout) {
+  if (!layout || !Array.isArray(layout.courts) || layout.courts.length === 0) {
+    return "The venue needs at least one game court";
+  }
+  if (
+    layout.name !== undefined &&
+    (typeof layout.name !== "string" || /[<>]/.test(layout.name))
+  ) {
+    return "The venue name can't contain < or >";
+  }
+
+  const names = [];
+  layout.courts.forEach((court) => {
+    names.push(court && court.game);
+    if (court && court.waiting) names.push(court.waiting);
+  });
+
+  for (const name of names) {
+    if (typeof name !== "string" || !COURT_NAME_PATTERN.test(name)) {
+      return `"${name}" is not a valid court name (use letters, digits, - or _)`;
+    }
+    if (name.startsWith("queue")) {
+      return `Court names can't start with "queue" (${name})`;
+    }
+  }
+
+  const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+  if (duplicate) {
+    return `Court ${duplicate} is listed more than once`;
+  }
+
+  return null;
+}
+
+function loadVenue() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(VENUE_KEY) || "null");
+    if (saved && !validateVenue(saved)) {
+      venue = saved;
+      courtPairs = buildCourtPairs(venue);
+    }
+  } catch (error) {
+    console.error("Failed to load venue:", error);
+  }
+}
+
+/**
+ * Makes a venue the current one and rebuilds the court grid
+ * - Court types are kept for courts that still exist; new courts start in
+ *   training mode
+ * - Does not move players; see setVenue
+ *
+ * @param {Object} layout - Valid venue configuration
+ */
+function useVenue(layout) {
+  venue = layout;
+  courtPairs = buildCourtPairs(venue);
+
+  if (!isFollowingSession) {
+    localStorage.setItem(VENUE_KEY, JSON.stringify(venue));
+  }
+
+  const courts = getAllCourts();
+  Object.keys(courtTypes).forEach((courtName) => {
+    if (!courts.includes(courtName)) delete courtTypes[courtName];
+  });
+  Object.keys(gameStartTimes).forEach((courtName) => {
+    if (!courts.includes(courtName)) delete gameStartTimes[courtName];
+  });
+  Object.keys(courtModes).forEach((courtName) => {
+    if (!courts.includes(courtName)) delete courtModes[courtName];
+  });
+  courts.forEach((courtName) => {
+    if (!courtTypes[courtName]) courtTypes[courtName] = "training";
+  });
+  syncWCourtTypes();
+
+  renderCourtGrid();
+  if (!isViewerMode) {
+    setupDropTargets();
+  }
+
+  console.log(`Using venue ${venue.name} with ${courts.length} courts`);
+}
+
+/**
+ * Switches the session to a new venue layout
+ * - Players on courts that no longer exist go back to their queue
+ * - The change is saved locally and published to the live session
+ *
+ * @param {Object} layout - Venue configuration ({ name, courts: [{ game, waiting }] })
+ * @returns {boolean} Whether the venue was applied
+ */
+function setVenue(layout) {
+  if (!requireRole("organizer", "change the courts")) return false;
+  const problem = validateVenue(layout);
+  if (problem) {
+    alert(problem);
+    return false;
+  }
+
+  captureUndoSnapshot(`Change the venue to ${layout.name}`);
+
+  const courts = getAllCourts(layout);
+  const now = Date.now();
+  players.forEach((player) => {
+    if (!player.status || player.status.startsWith("queue-")) return;
+    if (courts.includes(player.status)) return;
+
+    console.log(`${player.name} left removed court ${player.status}`);
+    player.status =
+      player.qualification === "advanced"
+        ? "queue-advanced"
+        : "queue-intermediate";
+    player.order = now;
+    player.modified = true;
+    delete player.courtSlot;
+  });
+
+  useVenue(layout);
+
+  initializePlayerArrays();
+  renderPlayerQueue();
+  renderCourtPlayers();
+  updateCourtDropdowns();
+  saveToLocalStorage();
+  return true;
+}
+
+/**
+ * Asks the organizer for a new venue layout
+ * - Courts are entered as a comma-separated list; a waiting court follows
+ *   its game court after a slash, e.g. "G1/W1, G2/W2, G3"
+ */
+function configureVenue() {
+  if (!requireRole("organizer", "change the courts")) return;
+  const name = prompt("Venue name:", venue.name);
+  if (name === null) return;
+
+  const current = venue.courts
+    .map((court) =>
+      court.waiting ? `${court.game}/${court.waiting}` : court.game
+    )
+    .join(", ");
+  const input = prompt(
+    "Enter the game courts separated by commas.\n" +
+      "Add a waiting court after a slash, e.g. G1/W1, G2/W2, G3",
+    current
+  );
+  if (input === null) return;
+
+  const courts = input
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter((entry) => entry)
+    .map((entry) => {
+      const [game, waiting] = entry.split("/").map((part) => part.trim());
+      return waiting ? { game: game, waiting: waiting } : { game: game };
+    });
+
+  setVenue({ name: name.trim() || venue.name, courts: courts });
+}
+
+/**
+ * Builds a court element with its header, type dropdown and player area
+ * - In viewer mode the rotate button and dropdowns are left out and the
+ *   court type is shown as text
+ *
+ * @param {string} courtName - Court identifier
+ * @param {boolean} isGame - Whether this is a game court (gets a rotate button)
+ * @returns {HTMLElement} Court element
+ */
+function createCourtElement(courtName, isGame) {
+  const courtDiv = document.createElement("div");
+  courtDiv.className = `court ${isGame ? "court-game" : "court-waiting"}`;
+  courtDiv.id = courtName + "-court";
+
+  if (isViewerMode) {
+    courtDiv.innerHTML = `
+      <div class="court-header">
+        <div class="court-title">
+          <span class="court-name">${courtName} (${isGame ? "Game" : "Warm up"})</span>
+          ${isGame ? '<span class="court-timer"></span>' : ""}
+        </div>
+        <span class="court-type-label"></span>
+      </div>
+      <div class="court-players"></div>
+    `;
+    return courtDiv;
+  }
+
+  courtDiv.innerHTML = `
+    <div class="court-header">
+      <div class="court-title">
+        <span class="court-name">${courtName} (${isGame ? "Game" : "Warm up"})</span>
+        ${isGame ? '<span class="court-timer"></span>' : ""}
+        ${
+          isGame
+            ? `<button class="rotate-btn" onclick="finishGame('${courtName}')" title="Finish game - rotate players">🔄</button>`
+            : ""
+        }
+      </div>
+      <select class="court-type-dropdown" onchange="changeCourtType('${courtName}', this.value)">
+        <option value="intermediate">Intermediate</option>
+        <option value="advanced">Advanced</option>
+        <option value="mixed">Mixed</option>
+        <option value="training">Training</option>
+      </select>
+      ${
+        isGame
+          ? `<select class="court-mode-dropdown" onchange="changeCourtMode('${courtName}', this.value)" title="Singles courts hold 2 players">
+        <option value="doubles">Doubles</option>
+        <option value="singles">Singles</option>
+      </select>`
+          : ""
+      }
+    </div>
+    <div class="court-players"></div>
+  `;
+  return courtDiv;
+}
+
+/**
+ * Renders the court grid from the venue
+ * - Each game court sits next to its waiting court
+ * - Every second pair is mirrored so waiting courts face each other, as in
+ *   the original gym layout
+ */
+function renderCourtGrid() {
+  const grid = document.getElementById("courts-grid");
+  if (!grid) return;
+
+  grid.innerHTML = "";
+  venue.courts.forEach((court, index) => {
+    const pair = document.createElement("div");
+    pair.className = "court-pair";
+    if (index % 2 === 1) pair.classList.add("court-pair-mirrored");
+    if (!court.waiting) pair.classList.add("court-pair-single");
+
+    pair.appendChild(createCourtElement(court.game, true));
+    if (court.waiting) {
+      pair.appendChild(createCourtElement(court.waiting, false));
+    }
+    grid.appendChild(pair);
+  });
+}
+
+function setupLocalBackup() {
+  if (localBackupInterval) {
+    clearInterval(localBackupInterval);
+  }
+
+  localBackupInterval = setInterval(() => {
+    saveToLocalStorage();
+  }, 60000);
+
+  console.log("Set up local backup (every minute)");
+}
+
+function isTemporaryId(id) {
+  return (
+    typeof id === "string" && (id.startsWith("temp_") || id.startsWith("local_"))
+  );
+}
+
+function loadOutbox() {
+  try {
+    outbox = JSON.parse(localStorage.getItem(OUTBOX_KEY) || "[]");
+  } catch (error) {
+    console.error("Failed to load pending changes:", error);
+    outbox = [];
+  }
+  renderOutboxStatus();
+}
+
+function saveOutbox() {
+  try {
+    localStorage.setItem(OUTBOX_KEY, JSON.stringify(outbox));
+  } catch (error) {
+    console.error("Failed to save pending changes:", error);
+  }
+  renderOutboxStatus();
+}
+
+/**
+ * Identifies the document an outbox write targets
+ * - Writes with the same key replace each other while they are pending
+ */
+function getOutboxKey(type, payload) {
+  const target =
+    payload.playerId ||
+    payload.tempId ||
+    payload.gameId ||
+    (payload.game && payload.game.id) ||
+    (payload.session && payload.session.id) ||
+    (payload.action && payload.action.id);
+  return `${type}:${target}`;
+}
+
+function hasPendingWrite(type, payload) {
+  const key = getOutboxKey(type, payload);
+  return outbox.some((op) => op.key === key);
+}
+
+/**
+ * Records a Firestore write in the outbox and starts sending it
+ * - Writes are sent in the order they were made; a write that fails holds
+ *   back the ones after it until it goes through
+ * - A pending qualification, rating or game write is replaced by a newer
+ *   one for the same document instead of queuing both
+ * - Deleting a player that never reached the database just drops their
+ *   pending writes
+ *
+ * @param {string} type - addPlayer, deletePlayer, updateQualification,
+ *   updateRating, updateProfile, saveGame, deleteGame, saveSession or
+ *   saveAction
+ * @param {Object} payload - Data for the write (see executeWrite)
+ */
+function enqueueWrite(type, payload) {
+  if (isFollowingSession) return;
+
+  const key = getOutboxKey(type, payload);
+
+  if (type === "deletePlayer" && isTemporaryId(payload.playerId)) {
+    const addInFlight =
+      inFlightWrite && inFlightWrite.payload.tempId === payload.playerId;
+    if (!addInFlight) {
+      outbox = outbox.filter(
+        (op) =>
+          op.payload.playerId !== payload.playerId &&
+          op.payload.tempId !== payload.playerId
+      );
+      saveOutbox();
+      return;
+    }
+  }
+
+  if (type === "deleteGame") {
+    outbox = outbox.filter(
+      (op) => op === inFlightWrite || op.key !== `saveGame:${payload.gameId}`
+    );
+  }
+
+  const pending = outbox.find(
+    (op) =>
+      op.key === key && op !== inFlightWrite && COALESCED_WRITES.includes(type)
+  );
+  if (pending) {
+    pending.payload = payload;
+  } else {
+    outbox.push({
+      id: "write_" + Date.now() + "_" + Math.random().toString(36).substr(2, 9),
+      key: key,
+      type: type,
+      payload: payload,
+      createdAt: Date.now(),
+      attempts: 0,
+      nextAttemptAt: 0,
+    });
+  }
+
+  saveOutbox();
+  flushOutbox();
+}
+
+/**
+ * Performs one outbox write against Firestore
+ *
+ * @param {Object} op - Outbox entry
+ */
+async function executeWrite(op) {
+  const payload = op.payload;
+
+  switch (op.type) {
+    case "addPlayer": {
+      const playerId = await window.playersDB.addPlayer({
+        name: payload.name,
+        qualification: payload.qualification,
+        rating: payload.rating,
+        ratedGames: payload.ratedGames,
+        profile: payload.profile,
+      });
+      remapPlayerId(payload.tempId, playerId);
+      break;
+    }
+    case "deletePlayer":
+      await window.playersDB.deletePlayer(payload.playerId);
+      break;
+    case "updateQualification":
+      await window.playersDB.updatePlayerStatusAndQualification(
+        payload.playerId,
+        null,
+        payload.qualification
+      );
+      break;
+    case "updateRating":
+      await window.playersDB.updatePlayerRating(
+        payload.playerId,
+        payload.rating,
+        payload.ratedGames
+      );
+      break;
+    case "updateProfile":
+      await window.profilesDB.saveProfile(payload.playerId, payload.profile);
+      break;
+    case "saveGame": {
+      await window.gamesDB.saveGame(payload.game);
+      const game = gameHistory.find((g) => g.id === payload.game.id);
+      if (game) game.synced = true;
+      break;
+    }
+    case "deleteGame":
+      await window.gamesDB.deleteGame(payload.gameId);
+      break;
+    case "saveSession":
+      await window.sessionsDB.saveSession(payload.session);
+      break;
+    case "saveAction":
+      await window.sessionsDB.saveAction(payload.sessionId, payload.action);
+      break;
+    default:
+      throw new Error("Unknown write type: " + op.type);
+  }
+}
+
+/**
+ * Tells apart errors that retrying can't fix
+ * - e.g. updating a player another organizer already deleted, or saving
+ *   an email another player has claimed
+ */
+function isPermanentWriteError(error) {
+  return [
+    "not-found",
+    "invalid-argument",
+    "permission-denied",
+    "already-exists",
+  ].includes(error && error.code);
+}
+
+function getRetryDelay(attempts) {
+  return Math.min(
+    OUTBOX_MAX_RETRY_DELAY,
+    OUTBOX_BASE_RETRY_DELAY * 2 ** Math.max(0, attempts - 1)
+  );
+}
+
+function scheduleOutboxRetry(delay) {
+  if (outboxRetryTimeout) {
+    clearTimeout(outboxRetryTimeout);
+  }
+  outboxRetryTimeout = setTimeout(() => {
+    outboxRetryTimeout = null;
+    flushOutbox();
+  }, delay);
+  renderOutboxStatus();
+}
+
+/**
+ * Sends pending writes to Firestore, oldest first
+ * - Stops at the first failure and retries it with exponential backoff
+ * - Does nothing while offline; the online event starts it again
+ */
+async function flushOutbox() {
+  if (isFlushingOutbox || outbox.length === 0) {
+    renderOutboxStatus();
+    return;
+  }
+
+  if (
+    !window.navigator.onLine ||
+    !window.playersDB ||
+    !ensureFirebaseReady() ||
+    !canOrganize()
+  ) {
+    renderOutboxStatus();
+    return;
+  }
+
+  isFlushingOutbox = true;
+  renderOutboxStatus();
+
+  try {
+    while (outbox.length > 0) {
+      const op = outbox[0];
+      const wait = op.nextAttemptAt - Date.now();
+      if (wait > 0) {
+        scheduleOutboxRetry(wait);
+        break;
+      }
+
+      inFlightWrite = op;
+      try {
+        await executeWrite(op);
+        outbox = outbox.filter((pending) => pending !== op);
+        console.log(`Sent ${op.type} (${outbox.length} change(s) left)`);
+      } catch (error) {
+        if (isPermanentWriteError(error)) {
+          console.warn(`Dropping ${op.type} that can't succeed:`, error);
+          outbox = outbox.filter((pending) => pending !== op);
+        } else {
+          op.attempts++;
+          op.lastError = error.message;
+          op.nextAttemptAt = Date.now() + getRetryDelay(op.attempts);
+          console.warn(
+            `Couldn't send ${op.type} (attempt ${op.attempts}), retrying later:`,
+            error
+          );
+          scheduleOutboxRetry(getRetryDelay(op.attempts));
+          break;
+        }
+      } finally {
+        inFlightWrite = null;
+        saveOutbox();
+      }
+    }
+  } finally {
+    isFlushingOutbox = false;
+    renderOutboxStatus();
+  }
+
+  saveToLocalStorage();
+}
+
+/**
+ * Replaces a temporary player id with the id Firestore assigned
+ * - Covers both player arrays, session stats, game history, the undo
+ *   history, pending outbox writes (including session archives), the
+ *   shared session base and the player picked on this device
+ *
+ * @param {string} tempId - Temporary id (temp_… or local_…)
+ * @param {string} realId - Firestore document id
+ */
+function remapPlayerId(tempId, realId) {
+  const remap = (id) => (id === tempId ? realId : id);
+  const remapGame = (game) => {
+    game.players.forEach((player) => {
+      player.id = remap(player.id);
+    });
+    if (game.teamA) game.teamA = game.teamA.map(remap);
+    if (game.teamB) game.teamB = game.teamB.map(remap);
+  };
+
+  [...players, ...allPlayers].forEach((player) => {
+    if (player.id === tempId) {
+      player.id = realId;
+      player.isNew = false;
+    }
+  });
+
+  if (playerStats[tempId]) {
+    playerStats[realId] = playerStats[tempId];
+    delete playerStats[tempId];
+  }
+
+  gameHistory.forEach(remapGame);
+  deletedPlayers = (deletedPlayers || []).map(remap);
+
+  outbox.forEach((op) => {
+    if (op.payload.playerId === tempId) {
+      op.payload.playerId = realId;
+      op.key = getOutboxKey(op.type, op.payload);
+    }
+    if (op.payload.game) remapGame(op.payload.game);
+    if (op.payload.session) {
+      op.payload.session = JSON.parse(
+        JSON.stringify(op.payload.session)
+          .split(`"${tempId}"`)
+          .join(`"${realId}"`)
+      );
+    }
+  });
+
+  [...undoStack, ...redoStack].forEach((entry) => {
+    entry.snapshot = entry.snapshot.split(`"${tempId}"`).join(`"${realId}"`);
+  });
+
+  if (sessionBase && Array.isArray(sessionBase.roster)) {
+    sessionBase = JSON.parse(
+      JSON.stringify(sessionBase).split(`"${tempId}"`).join(`"${realId}"`)
+    );
+  }
+
+  if (localStorage.getItem(MY_PLAYER_KEY) === tempId) {
+    localStorage.setItem(MY_PLAYER_KEY, realId);
+  }
+
+  console.log(`Player ${tempId} is now ${realId}`);
+  saveToLocalStorage();
+  saveOutbox();
+}
+
+/**
+ * Shows how many changes are still waiting to reach the database
+ */
+function renderOutboxStatus() {
+  const statusElement = document.getElementById("outbox-status");
+  if (!statusElement) return;
+
+  const count = outbox.length;
+  const changes = `${count} change${count === 1 ? "" : "s"}`;
+  const failing = outbox.find((op) => op.attempts > 0);
+  let text;
+  let state;
+
+  if (count === 0) {
+    text = "✓ All changes saved";
+    state = "saved";
+  } else if (!window.navigator.onLine) {
+    text = `⚠ Offline – ${changes} waiting`;
+    state = "offline";
+  } else if (!canOrganize()) {
+    text = `⚠ Sign in to save ${changes}`;
+    state = "offline";
+  } else if (failing && !isFlushingOutbox) {
+    text = `⟳ ${changes} pending – next try at ${formatClockTime(
+      failing.nextAttemptAt
+    )}`;
+    state = "retrying";
+  } else {
+    text = `⟳ Saving ${changes}…`;
+    state = "saving";
+  }
+
+  statusElement.textContent = text;
+  statusElement.className = `outbox-status outbox-${state}`;
+  statusElement.title = failing
+    ? `Last error: ${failing.lastError}`
+    : "Changes are kept on this device until the database confirms them";
+}
+
+/**
+ * Queues every local change that hasn't reached the database yet and
+ * sends the outbox
+ * - Works offline too: changes wait in the outbox until the connection
+ *   returns
+ */
+async function syncWithFirebase() {
+  if (isFollowingSession) return;
+  if (!requireRole("organizer", "sync with the database")) return;
+
+  (deletedPlayers || []).forEach((playerId) =>
+    enqueueWrite("deletePlayer", { playerId: playerId })
+  );
+  deletedPlayers = [];
+
+  players
+    .filter(
+      (player) =>
+        player.isNew && !hasPendingWrite("addPlayer", { tempId: player.id })
+    )
+    .forEach((player) => {
+      enqueueWrite("addPlayer", {
+        tempId: player.id,
+        name: player.name,
+        qualification: player.qualification,
+        rating: player.rating,
+        ratedGames: player.ratedGames,
+        profile: getNonDefaultProfile(player),
+      });
+    });
+
+  players
+    .filter((player) => player.modified)
+    .forEach((player) => {
+      if (!player.isNew) {
+        enqueueWrite("updateQualification", {
+          playerId: player.id,
+          qualification: player.qualification,
+        });
+      }
+      delete player.modified;
+    });
+
+  allPlayers
+    .filter((player) => player.ratingModified && !player.isNew)
+    .forEach((player) => saveRatingToDatabase(player.id));
+
+  gameHistory
+    .filter(
+      (game) => !game.synced && !hasPendingWrite("saveGame", { game: game })
+    )
+    .forEach(saveGameToDatabase);
+
+  saveToLocalStorage();
+  lastSyncTime = new Date();
+
+  await flushOutbox();
+}
+
+/**
+ * Makes sure the Firebase app is initialized before using Firestore
+ * - Returns false when the Firebase modules are not loaded on this page
+ */
+function ensureFirebaseReady() {
+  if (!window.FirebaseApp || !window.FirebaseFirestore) {
+    return false;
+  }
+
+  if (!db) {
+    window.initializeFirebaseApp(
+      window.FirebaseApp,
+      window.FirebaseFirestore,
+      window.FirebaseAuth
+    );
+  }
+  return true;
+}
+
+/**
+ * Checks whether this browser may change the session
+ * - Pages that only follow the live session never do
+ */
+function canOrganize() {
+  return (
+    !isFollowingSession && !!window.authDB && window.authDB.hasRole("organizer")
+  );
+}
+
+/**
+ * Guards an organizer action behind the signed-in role
+ * - Tells the user why nothing happened when the role is missing
+ *
+ * @param {string} role - Least role allowed (organizer or admin)
+ * @param {string} action - What the user tried to do, in words
+ * @returns {boolean} Whether the action may go ahead
+ */
+function requireRole(role, action) {
+  if (!isFollowingSession && window.authDB && window.authDB.hasRole(role)) {
+    return true;
+  }
+
+  alert(`You need to be signed in as an ${role} to ${action}.`);
+  return false;
+}
+
+/**
+ * Follows sign-in on the organizer dashboard
+ * - Pending changes are sent and the session published as soon as an
+ *   organizer signs in
+ */
+function setupAuth() {
+  renderAuthStatus();
+  if (!ensureFirebaseReady() || !window.FirebaseAuth) {
+    console.log("Firebase Auth not loaded - organizer actions are disabled");
+    return;
+  }
+
+  window.authDB.onAuthChange(({ user, role }) => {
+    console.log(
+      `Signed in as ${user ? user.email || user.uid : "nobody"} (${role})`
+    );
+    renderAuthStatus();
+    if (canOrganize()) {
+      flushOutbox();
+      schedulePublishSessionState();
+      debouncedAutoFill();
+      subscribeToCheckIns();
+      subscribeToProfiles();
+    } else {
+      unsubscribeFromOrganizerData();
+    }
+  });
+}
+
+async function toggleSignIn() {
+  try {
+    if (window.authDB.getCurrentUser()) {
+      await window.authDB.signOut();
+    } else {
+      await window.authDB.signInWithGoogle();
+    }
+  } catch (error) {
+    alert("Sign-in failed: " + error.message);
+  }
+}
+
+function renderAuthStatus() {
+  const statusElement = document.getElementById("auth-status");
+  const authButton = document.getElementById("auth-btn");
+  const rolesButton = document.getElementById("roles-btn");
+  const user = window.authDB ? window.authDB.getCurrentUser() : null;
+  const role = window.authDB ? window.authDB.getCurrentRole() : "viewer";
+
+  if (statusElement) {
+    statusElement.textContent = user
+      ? `${user.displayName || user.email} · ${role}`
+      : "Not signed in · view only";
+    statusElement.classList.toggle("auth-view-only", !canOrganize());
+  }
+  if (authButton) {
+    authButton.textContent = user ? "Sign out" : "Sign in";
+  }
+  if (rolesButton) {
+    rolesButton.style.display =
+      window.authDB && window.authDB.hasRole("admin") ? "" : "none";
+  }
+}
+
+/**
+ * Lets an admin grant or change someone's role by email
+ * - Takes effect the next time that person signs in
+ */
+async function manageRoles() {
+  if (!requireRole("admin", "manage roles")) return;
+
+  const email = prompt("Email of the person whose role to change:");
+  if (!email || !email.trim()) return;
+
+  const role = prompt(
+    `Role for ${email.trim()} (admin, organizer, player or viewer):`,
+    "organizer"
+  );
+  if (role === null) return;
+  if (!ROLE_LEVELS.hasOwnProperty(role.trim().toLowerCase())) {
+    alert("Please enter admin, organizer, player or viewer.");
+    return;
+  }
+
+  try {
+    await window.authDB.setRole(email.trim(), role.trim().toLowerCase());
+    alert(`${email.trim()} is now ${role.trim().toLowerCase()}.`);
+  } catch (error) {
+    console.error("Failed to update role:", error);
+    alert("Failed to update role: " + error.message);
+  }
+}
+
+/**
+ * Returns an id that identifies this browser in the shared session
+ * - Stored separately from the queue data so it survives reloads
+ */
+function getDeviceId() {
+  let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+  if (!deviceId) {
+    deviceId =
+      "device_" + Date.now() + "_" + Math.random().toString(36).substr(2, 9);
+    localStorage.setItem(DEVICE_ID_KEY, deviceId);
+  }
+  return deviceId;
+}
+
+/**
+ * Builds a session document from a roster and court types
+ * - Courts and queues are derived from each player's status and order
+ * - Courts and queues reference players by id instead of array index
+ *
+ * @param {Array} roster - Active players ({ id, name, qualification, status, order })
+ * @param {Object} types - Court types keyed by court name
+ * @param {Object} options - Optional parts of the session
+ * @param {Array} options.games - Games finished this session
+ * @param {Object} options.gameStarts - Start time of the game on each G court
+ * @param {string} options.policy - Queue policy used to order the queues
+ * @param {Object} options.layout - Venue whose courts are listed
+ * @param {Object} options.modes - Singles/doubles mode keyed by court name
+ * @param {Array} options.actions - Audit log entries for this session; only
+ *   the newest MAX_PUBLISHED_ACTIONS are included
+ * @param {Object} options.stats - Wait and court time tracking keyed by
+ *   player id (see trackPlayerStatusTimes)
+ * @param {Object|null} options.session - Record of the open session
+ * @returns {Object} Session state ready to be written to Firestore
+ */
+function composeSessionState(
+  roster,
+  types,
+  {
+    games = [],
+    gameStarts = {},
+    policy = "fifo",
+    layout = venue,
+    modes = {},
+    actions = [],
+    stats = {},
+    session = null,
+  } = {}
+) {
+  const compareQueued = getQueueComparator(policy, games);
+  const idsWithStatus = (status) =>
+    roster
+      .filter((player) => player.status === status)
+      .sort(compareQueued)
+      .map((player) => player.id);
+
+  const courts = {};
+  getAllCourts(layout).forEach((courtName) => {
+    courts[courtName] = idsWithStatus(courtName);
+  });
+
+  return {
+    courts: courts,
+    courtTypes: { ...types },
+    courtModes: { ...modes },
+    queues: {
+      advanced: idsWithStatus("queue-advanced"),
+      intermediate: idsWithStatus("queue-intermediate"),
+    },
+    roster: roster,
+    games: games,
+    auditLog: actions.slice(-MAX_PUBLISHED_ACTIONS),
+    // Copied, since tracking updates the local entries in place
+    playerStats: Object.fromEntries(
+      Object.entries(stats).map(([playerId, entry]) => [playerId, { ...entry }])
+    ),
+    gameStarts: { ...gameStarts },
+    queuePolicy: policy,
+    venue: layout,
+    session: session,
+  };
+}
+
+/**
+ * Builds the shared session document from the local state
+ * - Only active players are included in the roster
+ *
+ * @returns {Object} Session state ready to be written to Firestore
+ */
+function buildSessionState() {
+  const roster = players
+    .filter((player) => player.isActive !== false && player.id)
+    .map((player) => ({
+      id: player.id,
+      name: player.name,
+      qualification: player.qualification || "intermediate",
+      status:
+        player.status ||
+        (player.qualification === "advanced"
+          ? "queue-advanced"
+          : "queue-intermediate"),
+      order: player.order || 0,
+      courtSlot: typeof player.courtSlot === "number" ? player.courtSlot : null,
+    }));
+
+  const games = gameHistory.map(({ synced, ...game }) => game);
+
+  return composeSessionState(roster, courtTypes, {
+    games: games,
+    gameStarts: gameStartTimes,
+    policy: queuePolicy,
+    layout: venue,
+    modes: courtModes,
+    actions: auditLog,
+    stats: playerStats,
+    session: currentSession,
+  });
+}
+
+function isSameRosterEntry(a, b) {
+  if (!a || !b) return !a && !b;
+  return (
+    a.name === b.name &&
+    a.qualification === b.qualification &&
+    a.status === b.status &&
+    a.order === b.order &&
+    (a.courtSlot ?? null) === (b.courtSlot ?? null)
+  );
+}
+
+function isSamePlayerStats(a, b) {
+  if (!a || !b) return !a && !b;
+  return PLAYER_STATS_FIELDS.every((field) => a[field] === b[field]);
+}
+
+/**
+ * Checks whether two session states hold the same roster and court types
+ * - Derived fields (courts, queues) are ignored since they follow the roster
+ */
+function isSameSessionState(a, b) {
+  if (!a || !b) return false;
+
+  const rosterA = a.roster || [];
+  const rosterB = b.roster || [];
+  if (rosterA.length !== rosterB.length) return false;
+
+  const entriesB = {};
+  rosterB.forEach((entry) => {
+    entriesB[entry.id] = entry;
+  });
+  if (!rosterA.every((entry) => isSameRosterEntry(entry, entriesB[entry.id]))) {
+    return false;
+  }
+
+  if ((a.games || []).length !== (b.games || []).length) return false;
+  const actionsA = a.auditLog || [];
+  const actionsB = b.auditLog || [];
+  if (actionsA.length !== actionsB.length) return false;
+  const lastId = (actions) =>
+    actions.length > 0 ? actions[actions.length - 1].id : null;
+  if (lastId(actionsA) !== lastId(actionsB)) return false;
+  if ((a.queuePolicy || "fifo") !== (b.queuePolicy || "fifo")) return false;
+  if (!isSameVenue(a.venue, b.venue)) return false;
+  if (getSessionId(a) !== getSessionId(b)) return false;
+
+  const statsA = a.playerStats || {};
+  const statsB = b.playerStats || {};
+  const statsIds = new Set([...Object.keys(statsA), ...Object.keys(statsB)]);
+  if (
+    ![...statsIds].every((playerId) =>
+      isSamePlayerStats(statsA[playerId], statsB[playerId])
+    )
+  ) {
+    return false;
+  }
+
+  const modesA = a.courtModes || {};
+  const modesB = b.courtModes || {};
+  const modeCourts = new Set([...Object.keys(modesA), ...Object.keys(modesB)]);
+  if (![...modeCourts].every((court) => modesA[court] === modesB[court])) {
+    return false;
+  }
+
+  const startsA = a.gameStarts || {};
+  const startsB = b.gameStarts || {};
+  const startCourts = new Set([...Object.keys(startsA), ...Object.keys(startsB)]);
+  if (![...startCourts].every((court) => startsA[court] === startsB[court])) {
+    return false;
+  }
+
+  const typesA = a.courtTypes || {};
+  const typesB = b.courtTypes || {};
+  const courtNames = new Set([...Object.keys(typesA), ...Object.keys(typesB)]);
+  return [...courtNames].every((court) => typesA[court] === typesB[court]);
+}
+
+function getSessionId(state) {
+  return (state && state.session && state.session.id) || null;
+}
+
+function describeRosterEntry(entry) {
+  if (!entry) return "removed from the session";
+  if (entry.status.startsWith("queue-")) {
+    return `in the ${entry.status.replace("queue-", "")} queue`;
+  }
+  return `on ${entry.status}`;
+}
+
+/**
+ * Three-way merge of the shared session state
+ * - base is the last state both sides agreed on, local holds this
+ *   organizer's unpublished changes, remote is what another organizer wrote
+ * - Changes to different players and different courts are combined
+ * - When both sides changed the same player or court differently, the
+ *   remote change wins and the local change is reported as a conflict
+ * - Local moves that would overfill a court are rejected the same way
+ * - Audit log entries and player stats are only kept for the session the
+ *   merge keeps; a player's stats follow the same remote-wins rule as the
+ *   player
+ *
+ * @param {Object} base - Last agreed session state
+ * @param {Object} local - Session state built from this browser
+ * @param {Object} remote - Session state currently stored in Firestore
+ * @returns {{state: Object, conflicts: Array<string>}} Merged state and rejected changes
+ */
+function mergeSessionStates(base, local, remote) {
+  const conflicts = [];
+  const toEntries = (state) => {
+    const entries = {};
+    ((state && state.roster) || []).forEach((entry) => {
+      entries[entry.id] = entry;
     });
+    return entries;
+  };
+
+  const baseEntries = toEntries(base);
+  const localEntries = toEntries(local);
+  const remoteEntries = toEntries(remote);
+  const playerIds = new Set([
+    ...Object.keys(baseEntries),
+    ...Object.keys(localEntries),
+    ...Object.keys(remoteEntries),
+  ]);
+
+  const mergedEntries = {};
+  const acceptedLocalIds = [];
+
+  playerIds.forEach((playerId) => {
+    const baseEntry = baseEntries[playerId];
+    const localEntry = localEntries[playerId];
+    const remoteEntry = remoteEntries[playerId];
+    const localChanged = !isSameRosterEntry(baseEntry, localEntry);
+    const remoteChanged = !isSameRosterEntry(baseEntry, remoteEntry);
+
+    let chosen = remoteEntry;
+    if (localChanged && !remoteChanged) {
+      chosen = localEntry;
+      acceptedLocalIds.push(playerId);
+    } else if (
+      localChanged &&
+      remoteChanged &&
+      !isSameRosterEntry(localEntry, remoteEntry)
+    ) {
+      const name = (localEntry || remoteEntry || baseEntry).name;
+      conflicts.push(
+        `${name} was moved by another organizer and is now ${describeRosterEntry(
+          remoteEntry
+        )} (your change to ${describeRosterEntry(localEntry)} was rejected)`
+      );
+    }
+
+    if (chosen) {
+      mergedEntries[playerId] = chosen;
+    }
+  });
+
+  const localVenueChanged = !isSameVenue(
+    local && local.venue,
+    base && base.venue
+  );
+  const mergedVenue =
+    (localVenueChanged ? local.venue : remote && remote.venue) || venue;
+
+  const baseModes = (base && base.courtModes) || {};
+  const localModes = (local && local.courtModes) || {};
+  const mergedModes = { ...((remote && remote.courtModes) || {}) };
+  getAllCourts(mergedVenue).forEach((courtName) => {
+    if (localModes[courtName] !== baseModes[courtName]) {
+      if (localModes[courtName]) {
+        mergedModes[courtName] = localModes[courtName];
+      } else {
+        delete mergedModes[courtName];
+      }
+    }
+  });
+
+  getAllCourts(mergedVenue).forEach((courtName) => {
+    const onCourt = Object.values(mergedEntries).filter(
+      (entry) => entry.status === courtName
+    );
+    let overflow = onCourt.length - getCourtCapacity(courtName, mergedModes);
 
-    allPlayers.forEach((player) => {
-      if (player.isActive === undefined) {
-        player.isActive = true;
+    for (const playerId of acceptedLocalIds) {
+      if (overflow <= 0) break;
+      const entry = mergedEntries[playerId];
+      const fallback = remoteEntries[playerId];
+      if (!entry || entry.status !== courtName) continue;
+      if (fallback && fallback.status === courtName) continue;
+
+      if (fallback) {
+        mergedEntries[playerId] = fallback;
+      } else {
+        delete mergedEntries[playerId];
       }
+      overflow--;
+      conflicts.push(
+        `${entry.name} could not be moved to ${courtName} because another organizer filled it first`
+      );
+    }
+  });
+
+  const baseTypes = (base && base.courtTypes) || {};
+  const localTypes = (local && local.courtTypes) || {};
+  const remoteTypes = (remote && remote.courtTypes) || {};
+  const mergedTypes = { ...remoteTypes };
+
+  Object.keys(localTypes).forEach((courtName) => {
+    const localChanged = localTypes[courtName] !== baseTypes[courtName];
+    const remoteChanged = remoteTypes[courtName] !== baseTypes[courtName];
+
+    if (localChanged && !remoteChanged) {
+      mergedTypes[courtName] = localTypes[courtName];
+    } else if (
+      localChanged &&
+      remoteChanged &&
+      localTypes[courtName] !== remoteTypes[courtName] &&
+      !isWaitingCourt(courtName, mergedVenue)
+    ) {
+      conflicts.push(
+        `${courtName} was changed to ${remoteTypes[courtName]} by another organizer (your change to ${localTypes[courtName]} was rejected)`
+      );
+    }
+  });
+
+  // A game that was in the base but is missing on one side was undone there
+  const gameIds = (state) =>
+    new Set(((state && state.games) || []).map((game) => game.id));
+  const baseGameIds = gameIds(base);
+  const localGameIds = gameIds(local);
+  const remoteGameIds = gameIds(remote);
+  const mergedGames = {};
+  [
+    ...((remote && remote.games) || []),
+    ...((local && local.games) || []),
+  ].forEach((game) => {
+    const undone =
+      baseGameIds.has(game.id) &&
+      (!localGameIds.has(game.id) || !remoteGameIds.has(game.id));
+    if (!undone) {
+      mergedGames[game.id] = game;
+    }
+  });
+
+  // Entries only come from the side whose session is kept, and entries
+  // from the base that one side no longer has were cleared by a reset there
+  const mergedSession =
+    getSessionId(local) !== getSessionId(base)
+      ? (local && local.session) || null
+      : (remote && remote.session) || null;
+  const mergedSessionId = (mergedSession && mergedSession.id) || null;
+  const actionIds = (state) =>
+    new Set(((state && state.auditLog) || []).map((entry) => entry.id));
+  const baseActionIds = actionIds(base);
+  const localActionIds = actionIds(local);
+  const remoteActionIds = actionIds(remote);
+  const mergedActions = {};
+  [remote, local]
+    .filter((state) => getSessionId(state) === mergedSessionId)
+    .forEach((state) => {
+      ((state && state.auditLog) || []).forEach((entry) => {
+        const cleared =
+          baseActionIds.has(entry.id) &&
+          (!localActionIds.has(entry.id) || !remoteActionIds.has(entry.id));
+        if (!cleared) {
+          mergedActions[entry.id] = entry;
+        }
+      });
     });
 
-    courtTypes = parsedData.courtTypes || {};
-    deletedPlayers = parsedData.deletedPlayers || [];
+  const statsFor = (state) =>
+    getSessionId(state) === mergedSessionId
+      ? (state && state.playerStats) || {}
+      : {};
+  const baseStats = statsFor(base);
+  const localStats = statsFor(local);
+  const remoteStats = statsFor(remote);
+  const mergedStats = {};
+  new Set([...Object.keys(localStats), ...Object.keys(remoteStats)]).forEach(
+    (playerId) => {
+      const remoteChanged = !isSamePlayerStats(
+        remoteStats[playerId],
+        baseStats[playerId]
+      );
+      const stats = remoteChanged
+        ? remoteStats[playerId]
+        : localStats[playerId];
+      if (stats) mergedStats[playerId] = stats;
+    }
+  );
+
+  const baseStarts = (base && base.gameStarts) || {};
+  const localStarts = (local && local.gameStarts) || {};
+  const mergedStarts = { ...((remote && remote.gameStarts) || {}) };
+  getGameCourts(mergedVenue).forEach((gCourtName) => {
+    if (localStarts[gCourtName] !== baseStarts[gCourtName]) {
+      if (localStarts[gCourtName]) {
+        mergedStarts[gCourtName] = localStarts[gCourtName];
+      } else {
+        delete mergedStarts[gCourtName];
+      }
+    }
+  });
+
+  return {
+    state: composeSessionState(Object.values(mergedEntries), mergedTypes, {
+      games: Object.values(mergedGames).sort((a, b) => a.endedAt - b.endedAt),
+      gameStarts: mergedStarts,
+      policy:
+        local && local.queuePolicy !== (base && base.queuePolicy)
+          ? local.queuePolicy
+          : (remote && remote.queuePolicy) || "fifo",
+      layout: mergedVenue,
+      modes: mergedModes,
+      actions: Object.values(mergedActions).sort((a, b) => a.time - b.time),
+      stats: mergedStats,
+      session: mergedSession,
+    }),
+    conflicts: conflicts,
+  };
+}
+
+function notifySessionConflicts(conflicts) {
+  if (!conflicts || conflicts.length === 0) return;
+
+  console.warn("Session conflicts:", conflicts);
+  alert(
+    "Another organizer changed the session at the same time:\n\n- " +
+      conflicts.join("\n- ")
+  );
+}
+
+/**
+ * Debounces publishing so a burst of changes results in a single write
+ */
+function schedulePublishSessionState() {
+  if (!canOrganize()) return;
+
+  if (publishTimeout) {
+    clearTimeout(publishTimeout);
+  }
+
+  publishTimeout = setTimeout(() => {
+    publishTimeout = null;
+    publishSessionState();
+  }, 500);
+}
+
+/**
+ * Writes the current courts, court types, queues and roster to the
+ * shared session document so other devices can follow along
+ * - Runs in a transaction against the revision this browser last saw
+ * - If another organizer wrote in between, both changes are merged and
+ *   rejected local changes are reported instead of being overwritten
+ */
+async function publishSessionState() {
+  if (!canOrganize() || !window.navigator.onLine || !window.sessionDB) {
+    return;
+  }
+
+  if (isSubscribedToSession && !sessionBase) {
+    console.log("Waiting for live session state before publishing");
+    return;
+  }
+
+  const localState = buildSessionState();
+  if (isSameSessionState(localState, sessionBase)) {
+    return;
+  }
 
-    // Print out the saved court types
-    console.log("Loaded court types from previous session:");
-    ["G1", "G2", "G3", "G4", "W1", "W2", "W3", "W4"].forEach((courtName) => {
-      const type = courtTypes[courtName] || "intermediate";
-      console.log(`${courtName}: ${type}`);
+  try {
+    if (!ensureFirebaseReady()) return;
+
+    let mergedRemote = null;
+    const result = await window.sessionDB.commitSessionState((remote) => {
+      const remoteRevision = remote ? remote.revision || 0 : 0;
+      mergedRemote =
+        !remote || remoteRevision === sessionRevision ? null : remote;
+      const merge = mergedRemote
+        ? mergeSessionStates(sessionBase, localState, remote)
+        : { state: localState, conflicts: [] };
+
+      return {
+        state: {
+          ...merge.state,
+          revision: remoteRevision + 1,
+          updatedBy: getDeviceId(),
+        },
+        conflicts: merge.conflicts,
+      };
     });
 
-    initializePlayerArrays();
+    const previousBase = sessionBase;
+    sessionBase = result.state;
+    sessionRevision = result.state.revision;
 
-    syncWCourtTypes();
+    if (!isSameSessionState(result.state, buildSessionState())) {
+      const localSnapshot = takeUndoSnapshot();
+      applySessionState(result.state);
+      if (mergedRemote) {
+        rebaseUndoHistory(previousBase, mergedRemote, localSnapshot);
+      }
+      saveToLocalStorage();
+    }
+    notifySessionConflicts(result.conflicts);
+  } catch (error) {
+    console.warn("Couldn't publish session state (will retry on next change):", error);
+  }
+}
+
+/**
+ * Adds published audit log entries to the local log
+ * - The session document only carries the newest entries, so older ones
+ *   already on this device are kept
+ * - An empty published log means the session was reset
+ *
+ * @param {Array} local - Entries on this device
+ * @param {Array} published - Entries from the session document
+ * @returns {Array} Entries from both, oldest first
+ */
+function mergeAuditLogs(local, published) {
+  if (published.length === 0) return [];
+
+  const entries = {};
+  [...local, ...published].forEach((entry) => {
+    entries[entry.id] = entry;
+  });
+  return Object.values(entries).sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Replaces the local state with a session document
+ * - Keeps local-only player fields (ids pending sync, timestamps)
+ * - Players missing from the roster are marked inactive in allPlayers
+ * - The audit log is merged while the session stays the same
+ *
+ * @param {Object} state - Session document published by an organizer
+ */
+function applySessionState(state) {
+  if (!state || !Array.isArray(state.roster)) {
+    console.log("No live session state available yet");
+    return;
+  }
+
+  const knownPlayers = {};
+  [...allPlayers, ...players].forEach((player) => {
+    if (player.id) knownPlayers[player.id] = player;
+  });
+
+  players = state.roster.map((entry) => ({
+    ...(knownPlayers[entry.id] || {}),
+    ...entry,
+    isActive: true,
+  }));
+
+  const activeIds = new Set(players.map((player) => player.id));
+  allPlayers.forEach((player) => {
+    player.isActive = activeIds.has(player.id);
+  });
+
+  if (state.venue && !isSameVenue(state.venue, venue)) {
+    useVenue(state.venue);
+  }
 
+  courtTypes = { ...(state.courtTypes || {}) };
+  courtModes = { ...(state.courtModes || {}) };
+  gameStartTimes = { ...(state.gameStarts || {}) };
+  queuePolicy = state.queuePolicy || "fifo";
+
+  const syncedGameIds = new Set(
+    gameHistory.filter((game) => game.synced).map((game) => game.id)
+  );
+  gameHistory = (state.games || []).map((game) => ({
+    ...game,
+    synced: syncedGameIds.has(game.id),
+  }));
+  auditLog =
+    getSessionId(state) === (currentSession && currentSession.id)
+      ? mergeAuditLogs(auditLog, state.auditLog || [])
+      : state.auditLog || [];
+  currentSession = state.session || null;
+  // Sessions published before stats were shared keep this device's own
+  if (state.playerStats) {
+    playerStats = Object.fromEntries(
+      Object.entries(state.playerStats).map(([playerId, entry]) => [
+        playerId,
+        { ...entry },
+      ])
+    );
+  }
+
+  initializePlayerArrays();
+  renderPlayerQueue();
+  renderCourtPlayers();
+  updateCourtDropdowns();
+  renderQueuePolicy();
+  renderMyStatus();
+  renderGameHistory();
+  renderAuditLog();
+  renderSessionInfo();
+
+  console.log(`Applied live session state with ${players.length} players`);
+}
+
+/**
+ * Handles a session document written by another organizer
+ * - The first snapshot is adopted as-is; if no session exists yet the
+ *   local state is published instead
+ * - Later snapshots are merged with any unpublished local changes
+ *
+ * @param {Object|null} remote - Session document from Firestore
+ */
+function handleRemoteSessionState(remote) {
+  if (!remote) {
+    sessionBase = composeSessionState([], {});
+    sessionRevision = 0;
+    schedulePublishSessionState();
+    return;
+  }
+
+  const remoteRevision = remote.revision || 0;
+  if (sessionBase && remoteRevision <= sessionRevision) {
+    return;
+  }
+
+  let merged = { state: remote, conflicts: [] };
+  if (sessionBase) {
+    merged = mergeSessionStates(sessionBase, buildSessionState(), remote);
+  }
+
+  const previousBase = sessionBase;
+  const localSnapshot = takeUndoSnapshot();
+  sessionBase = remote;
+  sessionRevision = remoteRevision;
+
+  applySessionState(merged.state);
+  rebaseUndoHistory(previousBase, remote, localSnapshot);
+  saveToLocalStorage();
+  notifySessionConflicts(merged.conflicts);
+
+  console.log(
+    `Received session revision ${remoteRevision} from ${remote.updatedBy || "unknown device"}`
+  );
+}
+
+/**
+ * Keeps inactive players in allPlayers in line with the players collection
+ * - Picks up players added or deleted by another organizer
+ *
+ * @param {Array} databasePlayers - Players from the players collection
+ */
+function handleRemotePlayersChange(databasePlayers) {
+  const databaseIds = new Set(databasePlayers.map((player) => player.id));
+  let changed = false;
+
+  databasePlayers.forEach((databasePlayer) => {
+    const known = allPlayers.find((player) => player.id === databasePlayer.id);
+    if (!known) {
+      allPlayers.push({
+        ...databasePlayer,
+        ...(playerProfiles[databasePlayer.id] || {}),
+        isActive: false,
+        status:
+          databasePlayer.qualification === "advanced"
+            ? "queue-advanced"
+            : "queue-intermediate",
+      });
+      changed = true;
+    } else {
+      if (
+        !known.isActive &&
+        known.qualification !== databasePlayer.qualification
+      ) {
+        known.qualification = databasePlayer.qualification;
+        changed = true;
+      }
+
+      if (
+        typeof databasePlayer.rating === "number" &&
+        !known.ratingModified &&
+        known.rating !== databasePlayer.rating
+      ) {
+        findPlayerCopies(known.id).forEach((copy) => {
+          copy.rating = databasePlayer.rating;
+          copy.ratedGames = databasePlayer.ratedGames || 0;
+        });
+        changed = true;
+      }
+    }
+  });
+
+  const removed = allPlayers.filter(
+    (player) =>
+      !player.isActive &&
+      !player.isNew &&
+      !String(player.id).startsWith("temp_") &&
+      !String(player.id).startsWith("local_") &&
+      !databaseIds.has(player.id)
+  );
+  if (removed.length > 0) {
+    allPlayers = allPlayers.filter((player) => !removed.includes(player));
+    changed = true;
+  }
+
+  if (changed) {
+    console.log("Player pool updated from database");
+    const modal = document.getElementById("player-pool-modal");
+    if (modal && modal.style.display === "block") {
+      renderPlayerPool();
+    }
+  }
+
+  applyCheckInRequests();
+}
+
+/**
+ * Keeps player profiles in line with the profiles collection
+ * - Profiles are organizer-only, so they arrive separately from the
+ *   public player documents and are kept until those players show up
+ * - A profile with an unsent local edit keeps the local version
+ *
+ * @param {Array} profiles - Documents from the profiles collection
+ */
+function handleRemoteProfilesChange(profiles) {
+  let changed = false;
+  playerProfiles = {};
+
+  profiles.forEach(({ id, lastUpdated, ...data }) => {
+    const remoteProfile = getPlayerProfile(data);
+    playerProfiles[id] = remoteProfile;
+
+    const known = allPlayers.find((player) => player.id === id);
+    if (
+      known &&
+      JSON.stringify(remoteProfile) !==
+        JSON.stringify(getPlayerProfile(known)) &&
+      !hasPendingWrite("updateProfile", { playerId: id })
+    ) {
+      findPlayerCopies(id).forEach((copy) => {
+        Object.assign(copy, remoteProfile);
+      });
+      changed = true;
+    }
+  });
+
+  if (changed) {
+    console.log("Player profiles updated from database");
+    const modal = document.getElementById("player-pool-modal");
+    if (modal && modal.style.display === "block") {
+      renderPlayerPool();
+    }
+  }
+}
+
+/**
+ * Subscribes the organizer dashboard to the shared session state
+ * - Changes made by other organizers are merged into the local state
+ */
+function subscribeToSessionState() {
+  if (!ensureFirebaseReady() || !window.sessionDB || !window.playersDB) {
+    console.log("Firebase modules not loaded - working locally only");
+    return;
+  }
+
+  if (courtsUnsubscribe) courtsUnsubscribe();
+  if (firebaseUnsubscribe) firebaseUnsubscribe();
+
+  isSubscribedToSession = true;
+  courtsUnsubscribe = window.sessionDB.onSessionChange(
+    handleRemoteSessionState
+  );
+  firebaseUnsubscribe = window.playersDB.onPlayersChange(
+    handleRemotePlayersChange
+  );
+
+  console.log("Subscribed to live session state");
+}
+
+/**
+ * Listens for check-in requests from login.html
+ * - Only organizers can read them, so this starts once one signs in
+ */
+function subscribeToCheckIns() {
+  if (checkInsUnsubscribe || !isSubscribedToSession || !window.sessionDB) {
+    return;
+  }
+
+  checkInsUnsubscribe = window.sessionDB.onCheckInsChange((requests) => {
+    pendingCheckIns = requests;
+    applyCheckInRequests();
+  });
+}
+
+/**
+ * Listens for player profiles, which only organizers can read
+ */
+function subscribeToProfiles() {
+  if (profilesUnsubscribe || !isSubscribedToSession || !window.profilesDB) {
+    return;
+  }
+
+  profilesUnsubscribe = window.profilesDB.onProfilesChange(
+    handleRemoteProfilesChange
+  );
+}
+
+/**
+ * Stops the organizer-only listeners after signing out
+ */
+function unsubscribeFromOrganizerData() {
+  if (checkInsUnsubscribe) {
+    checkInsUnsubscribe();
+    checkInsUnsubscribe = null;
+  }
+  if (profilesUnsubscribe) {
+    profilesUnsubscribe();
+    profilesUnsubscribe = null;
+  }
+}
+
+/**
+ * Adds players who checked in from their own device to the session
+ * - Does what the pool's Activate does, then removes the request
+ * - The request time becomes the queue order, so two organizer tabs
+ *   applying the same request publish the same roster entry
+ * - A player who just registered may not be in allPlayers yet; their
+ *   request waits for the next players snapshot
+ */
+function applyCheckInRequests() {
+  if (!canOrganize() || pendingCheckIns.length === 0) return;
+
+  let changed = false;
+  pendingCheckIns = pendingCheckIns.filter((request) => {
+    const playerInAll = allPlayers.find((p) => p.id === request.playerId);
+    if (!playerInAll) return true;
+
+    if (!players.some((p) => p.id === playerInAll.id)) {
+      playerInAll.status =
+        playerInAll.qualification === "advanced"
+          ? "queue-advanced"
+          : "queue-intermediate";
+      playerInAll.order = request.requestedAt;
+      activatePlayer(playerInAll);
+      logAction(
+        "check-in",
+        `${playerInAll.name} checked in`,
+        { isActive: false },
+        { isActive: true }
+      );
+      changed = true;
+    }
+
+    window.sessionDB.clearCheckIn(request.uid).catch((error) => {
+      console.warn("Couldn't clear check-in request:", error);
+    });
+    return false;
+  });
+
+  if (changed) {
+    const modal = document.getElementById("player-pool-modal");
+    if (modal && modal.style.display === "block") {
+      renderPlayerPool();
+    }
+    initializePlayerArrays();
     renderPlayerQueue();
     renderCourtPlayers();
-    updateCourtDropdowns();
+    saveToLocalStorage();
+    debouncedAutoFill();
+  }
+}
 
-    console.log("Loaded data from local storage");
-    return true;
-  } catch (error) {
-    console.error("Failed to load from local storage:", error);
+/**
+ * Follows the shared session document instead of managing local state
+ * - Used by pages that only display the queue (player_dashboard.html)
+ * - Stops periodic auto-fill and local backups so nothing is written
+ */
+function followSessionState() {
+  isFollowingSession = true;
+  stopPeriodicCourtCheck();
+
+  if (localBackupInterval) {
+    clearInterval(localBackupInterval);
+    localBackupInterval = null;
   }
 
-  return false;
-}
+  if (!ensureFirebaseReady() || !window.sessionDB) {
+    console.error("Cannot follow live session - Firebase modules not loaded");
+    return;
+  }
 
-function setupLocalBackup() {
-  if (localBackupInterval) {
-    clearInterval(localBackupInterval);
+  if (courtsUnsubscribe) courtsUnsubscribe();
+  if (firebaseUnsubscribe) {
+    firebaseUnsubscribe();
+    firebaseUnsubscribe = null;
   }
+  courtsUnsubscribe = window.sessionDB.onSessionChange(applySessionState);
 
-  localBackupInterval = setInterval(() => {
-    saveToLocalStorage();
-  }, 60000);
+  if (myStatusInterval) clearInterval(myStatusInterval);
+  myStatusInterval = setInterval(renderMyStatus, 30000);
 
-  console.log("Set up local backup (every minute)");
+  console.log("Following live session state");
 }
 
-async function syncWithFirebase() {
-  if (!window.navigator.onLine) {
-    alert("Cannot sync with Firebase - you are offline");
-    return;
-  }
-
-  try {
-    if (!window.FirebaseApp || !window.FirebaseFirestore) {
-      throw new Error("Firebase modules not loaded");
-    }
+/**
+ * Sets up the read-only spectator view
+ * - Courts and queues are drawn without drag handlers or controls
+ * - Nothing is auto-filled, saved or published; the page only follows the
+ *   live session
+ */
+function initializeViewerPage() {
+  isViewerMode = true;
+  isFollowingSession = true;
 
-    if (!window.playersDB || !window.db) {
-      window.initializeFirebaseApp(
-        window.FirebaseApp,
-        window.FirebaseFirestore
-      );
-    }
+  renderCourtGrid();
+  followSessionState();
 
-    console.log("Syncing with Firebase...");
-    let updatedCount = 0;
-    let addedCount = 0;
-    let deletedCount = 0;
+  // Without the organizer's periodic check, timers need their own tick
+  courtTimerInterval = setInterval(updateCourtTimers, 1000);
 
-    if (deletedPlayers && deletedPlayers.length > 0) {
-      for (const playerId of deletedPlayers) {
-        try {
-          await window.playersDB.deletePlayer(playerId);
-          deletedCount++;
-        } catch (error) {
-          console.error(`Failed to delete player ${playerId}:`, error);
-        }
-      }
-      deletedPlayers = [];
-    }
+  console.log("Viewer page ready");
+}
 
-    let existingPlayers = [];
-    try {
-      existingPlayers = await window.playersDB.getAllPlayers();
-      console.log(
-        `Retrieved ${existingPlayers.length} existing players from Firebase`
-      );
-    } catch (error) {
-      console.error("Failed to get existing players from Firebase:", error);
-      existingPlayers = [];
-    }
+function getMyPlayerId() {
+  return localStorage.getItem(MY_PLAYER_KEY);
+}
 
-    const existingPlayersMap = {};
-    existingPlayers.forEach((p) => {
-      if (p.id) {
-        existingPlayersMap[p.id] = p;
-      }
-    });
+/**
+ * Estimates how long a queued player waits before reaching a court
+ * - Every rotation on a court of the player's level frees one court worth
+ *   of spots (4 players) for that level's queue
+ * - The time between rotations is averaged over this session's finished
+ *   games on courts of the same level
+ *
+ * @param {number} position - 1-based position in the player's queue
+ * @param {string} level - Court type the player is waiting for (advanced/intermediate)
+ * @returns {number|null} Estimated wait in minutes, or null without enough data
+ */
+function estimateWaitMinutes(position, level) {
+  const levelRotations = gameHistory
+    .filter((game) => game.courtType === level || game.courtType === "mixed")
+    .map((game) => game.endedAt)
+    .sort((a, b) => a - b);
+
+  if (levelRotations.length < 2) {
+    return null;
+  }
 
-    let qualificationChangesCount = 0;
+  const first = levelRotations[0];
+  const last = levelRotations[levelRotations.length - 1];
+  const averageInterval = (last - first) / (levelRotations.length - 1);
+  const rotationsNeeded = Math.ceil(position / 4);
+  const sinceLastRotation = Date.now() - last;
 
-    for (const player of players) {
-      try {
-        let syncStatus = player.status;
-        if (!syncStatus.startsWith("queue-")) {
-          syncStatus =
-            player.qualification === "advanced"
-              ? "queue-advanced"
-              : "queue-intermediate";
-        }
+  const waitMs = Math.max(
+    0,
+    rotationsNeeded * averageInterval - sinceLastRotation
+  );
+  return Math.round(waitMs / 60000);
+}
 
-        if (
-          !player.isNew &&
-          player.id &&
-          existingPlayersMap[player.id] &&
-          existingPlayersMap[player.id].qualification !== player.qualification
-        ) {
-          console.log(
-            `Qualification change detected for ${player.name}: ${
-              existingPlayersMap[player.id].qualification
-            } → ${player.qualification}`
-          );
-          qualificationChangesCount++;
-        }
+/**
+ * Shows the selected player's queue position and estimated wait
+ * - The player is picked on login.html and remembered on this device
+ */
+function renderMyStatus() {
+  const statusElement = document.getElementById("my-status");
+  if (!statusElement) return;
 
-        if (player.isNew) {
-          const playerId = await window.playersDB.addPlayer({
-            name: player.name,
-            qualification: player.qualification,
-          });
-          player.id = playerId;
-          player.isNew = false;
-          addedCount++;
-        } else {
-          await window.playersDB.updatePlayerStatusAndQualification(
-            player.id,
-            null,
-            player.qualification
-          );
+  const myPlayerId = getMyPlayerId();
+  const playerIndex = players.findIndex((p) => p.id === myPlayerId);
 
-          if (player.modified) {
-            updatedCount++;
-          }
-        }
+  if (!myPlayerId) {
+    statusElement.innerHTML =
+      '<a href="login.html">Select your player</a> to see your place in line';
+    return;
+  }
 
-        delete player.modified;
-      } catch (error) {
-        console.error(`Failed to sync player ${player.name}:`, error);
-      }
-    }
+  if (playerIndex === -1) {
+    statusElement.innerHTML =
+      'You are not checked in. <a href="login.html">Check in</a>';
+    return;
+  }
 
-    saveToLocalStorage();
+  const player = players[playerIndex];
+  // The page is public and names are typed by players, so they're text
+  const showStatus = (text) => {
+    const nameElement = document.createElement("strong");
+    nameElement.textContent = player.name;
+    statusElement.innerHTML = "";
+    statusElement.appendChild(nameElement);
+    statusElement.appendChild(document.createTextNode(`: ${text}`));
+  };
 
-    lastSyncTime = new Date();
-  } catch (error) {
-    console.error("Failed to sync with Firebase:", error);
-    alert("Failed to sync with Firebase: " + error.message);
+  if (!player.status.startsWith("queue-")) {
+    const courtLabel = isGameCourt(player.status)
+      ? "playing on"
+      : "warming up on";
+    showStatus(`${courtLabel} ${player.status}`);
+    return;
   }
+
+  const level = player.status === "queue-advanced" ? "advanced" : "intermediate";
+  const queue = level === "advanced" ? advancedQueue : intermediateQueue;
+  const position = queue.indexOf(playerIndex) + 1;
+  const minutes = estimateWaitMinutes(position, level);
+  const waitText =
+    minutes === null
+      ? "not enough games yet to estimate the wait"
+      : minutes === 0
+      ? "you should be up any moment"
+      : `about ${minutes} min until you reach a court`;
+
+  showStatus(`#${position} in the ${level} queue · ${waitText}`);
 }
 
 function initializeDefaultCourtTypes() {
-  courtTypes = {
-    G1: "training",
-    G2: "training",
-    G3: "training",
-    G4: "training",
-    W1: "training",
-    W2: "training",
-    W3: "training",
-    W4: "training",
-  };
+  courtTypes = {};
+  getAllCourts().forEach((courtName) => {
+    courtTypes[courtName] = "training";
+  });
 
   syncWCourtTypes();
 
@@ -1738,9 +5864,30 @@ function initializeDefaultCourtTypes() {
 }
 
 window.onload = () => {
+  if (document.body.dataset.page === "checkin") {
+    initializeCheckInPage();
+    return;
+  }
+
+  if (document.body.dataset.page === "sessions") {
+    initializeSessionsPage();
+    return;
+  }
+
+  if (document.body.dataset.page === "viewer") {
+    initializeViewerPage();
+    return;
+  }
+
+  loadVenue();
+  loadOutbox();
+  renderCourtGrid();
   setupDropTargets();
+  loadSettings();
+  renderSettings();
 
   const hasLocalData = loadFromLocalStorage();
+  renderQueuePolicy();
 
   if (!hasLocalData) {
     console.log(
@@ -1762,6 +5909,19 @@ window.onload = () => {
   }
   setupLocalBackup();
   startPeriodicCourtCheck();
+  subscribeToSessionState();
+  setupUndoShortcuts();
+  renderUndoButtons();
+  renderSessionInfo();
+  setupAuth();
+
+  flushOutbox();
+  window.addEventListener("online", () => {
+    console.log("Back online - sending pending changes");
+    flushOutbox();
+    schedulePublishSessionState();
+  });
+  window.addEventListener("offline", renderOutboxStatus);
 
   const controlsDiv = document.querySelector(".controls");
   const poolButton = document.createElement("button");
@@ -1902,7 +6062,9 @@ function renderPlayerPool() {
   // Variables already declared above, so remove redeclaration
 
   const filteredPlayers = uniquePlayers.filter((player) => {
-    const matchesSearch = player.name.toLowerCase().includes(searchTerm);
+    const matchesSearch =
+      player.name.toLowerCase().includes(searchTerm) ||
+      (!!searchTerm && (player.email || "").includes(searchTerm));
     const matchesStatus =
       (player.isActive && showActive) || (!player.isActive && showInactive);
     return matchesSearch && matchesStatus;
@@ -1922,28 +6084,705 @@ function renderPlayerPool() {
       player.isActive ? "pool-player-active" : "pool-player-inactive"
     }`;
 
-    playerDiv.innerHTML = `
-      <div class=\"player-info\">
-        <span class=\"player-name\">${player.name}</span>
-        <span class=\"player-qualification\">${player.qualification}</span>
-      </div>
-      <div class=\"player-actions\">
-        <button class=\"toggle-${player.isActive ? "inactive" : "active"}\" 
-                onclick=\"togglePlayerActive('${player.id}')\">
-          ${player.isActive ? "Deactivate" : "Activate"}
-        </button>
-      </div>
-    `;
+    const record = getWinLossRecord(player.id);
+    const recordText =
+      record.wins + record.losses > 0
+        ? `<span class=\"player-qualification\">${record.wins}W-${record.losses}L</span>`
+        : "";
+
+    const suggestion = getQualificationSuggestion(player);
+    const suggestionButton = suggestion
+      ? `<button class=\"suggest-qualification\" onclick=\"applyQualificationSuggestion('${player.id}')\">
+          Move to ${suggestion}?
+        </button>`
+      : "";
+
+    const sessionStats = getPlayerSessionStats(player.id);
+    const statsText =
+      player.isActive || playerStats[player.id]
+        ? `<div class=\"player-stats\">
+            ${sessionStats.gamesPlayed} games &middot;
+            waited ${formatDuration(sessionStats.waitMs)} &middot;
+            on court ${formatDuration(sessionStats.courtMs)}
+          </div>`
+        : "";
+
+    const membershipText = describeMembership(getPlayerProfile(player));
+    const membershipBadge = membershipText
+      ? `<span class=\"player-membership\">${membershipText}</span>`
+      : "";
+
+    playerDiv.innerHTML = `
+      <div class=\"player-info\">
+        <span class=\"player-name\">${player.name}</span>
+        <span class=\"player-qualification\">${player.qualification}</span>
+        <span class=\"player-rating\">${getPlayerRating(player)}</span>
+        ${recordText}
+        ${membershipBadge}
+        ${statsText}
+      </div>
+      <div class=\"player-actions\">
+        ${suggestionButton}
+        <button class=\"edit-profile\" onclick=\"openPlayerProfile('${player.id}')\">
+          Profile
+        </button>
+        <button class=\"toggle-${player.isActive ? "inactive" : "active"}\" 
+                onclick=\"togglePlayerActive('${player.id}')\">
+          ${player.isActive ? "Deactivate" : "Activate"}
+        </button>
+      </div>
+    `;
+
+    poolList.appendChild(playerDiv);
+  });
+
+  if (filteredPlayers.length === 0) {
+    poolList.innerHTML = "<p>No players found matching your filters.</p>";
+  }
+}
+
+/**
+ * Escapes text for use inside an HTML template
+ * - For values people typed (names, session names) that end up in
+ *   innerHTML
+ */
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function normalizeEmail(email) {
+  return (email || "").trim().toLowerCase();
+}
+
+/**
+ * Checks a player name before it is saved
+ * - Names are shown on every dashboard, so < and > are refused; the
+ *   Firestore rules apply the same check to every player written
+ *
+ * @param {string} name - Name with spaces at the ends already trimmed
+ * @returns {string|null} What is wrong, or null when the name can be used
+ */
+function getPlayerNameProblem(name) {
+  if (!name) return "Missing name";
+  if (/[<>]/.test(name)) return "Name can't contain < or >";
+  if (name.length > MAX_PLAYER_NAME_LENGTH) {
+    return `Name can't be longer than ${MAX_PLAYER_NAME_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Returns a player's profile with defaults for the fields never set
+ */
+function getPlayerProfile(player) {
+  const profile = { ...DEFAULT_PROFILE };
+  Object.keys(DEFAULT_PROFILE).forEach((field) => {
+    if (player && player[field] !== undefined && player[field] !== null) {
+      profile[field] = player[field];
+    }
+  });
+  return profile;
+}
+
+/**
+ * Returns only the profile fields a player has changed from the defaults
+ * - Saved with a new player so players without a profile don't get one
+ */
+function getNonDefaultProfile(player) {
+  const profile = getPlayerProfile(player);
+  const changed = {};
+  Object.keys(profile).forEach((field) => {
+    if (
+      JSON.stringify(profile[field]) !== JSON.stringify(DEFAULT_PROFILE[field])
+    ) {
+      changed[field] = profile[field];
+    }
+  });
+  return changed;
+}
+
+/**
+ * Short membership text for the player pool
+ * - A membership whose expiry date has passed shows as expired
+ */
+function describeMembership(profile) {
+  if (profile.membershipStatus === "none") return "";
+
+  const today = formatSessionDate(Date.now());
+  if (profile.membershipExpiry && profile.membershipExpiry < today) {
+    return `${profile.membershipStatus} expired ${profile.membershipExpiry}`;
+  }
+  return profile.membershipExpiry
+    ? `${profile.membershipStatus} until ${profile.membershipExpiry}`
+    : profile.membershipStatus;
+}
+
+/**
+ * Opens the profile editor for a player from the pool
+ *
+ * @param {string} playerId - Player id
+ */
+function openPlayerProfile(playerId) {
+  const player = allPlayers.find((p) => p.id === playerId);
+  if (!player) {
+    alert("Player not found!");
+    return;
+  }
+
+  const profile = getPlayerProfile(player);
+  editingProfileId = playerId;
+
+  document.getElementById("profile-title").textContent = player.name;
+  document.getElementById("profile-email").value = profile.email;
+  document.getElementById("profile-membership").value =
+    profile.membershipStatus;
+  document.getElementById("profile-expiry").value = profile.membershipExpiry;
+  document.getElementById("profile-level").value = profile.preferredLevel;
+  document.getElementById("profile-singles").checked = profile.wantsSingles;
+  document.getElementById("profile-notes").value = profile.notes;
+
+  const partnersSelect = document.getElementById("profile-partners");
+  partnersSelect.innerHTML = "";
+  allPlayers
+    .filter((other) => other.id !== playerId)
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach((other) => {
+      const option = document.createElement("option");
+      option.value = other.id;
+      option.textContent = other.name;
+      option.selected = profile.preferredPartners.includes(other.id);
+      partnersSelect.appendChild(option);
+    });
+
+  document.getElementById("player-profile-modal").style.display = "block";
+}
+
+function closePlayerProfile() {
+  editingProfileId = null;
+  document.getElementById("player-profile-modal").style.display = "none";
+}
+
+/**
+ * Saves the profile editor back to the player
+ * - The email must be valid and not belong to another player
+ * - Updates both player copies and queues the write to the players
+ *   collection
+ */
+function savePlayerProfile() {
+  if (!requireRole("organizer", "edit profiles")) return;
+
+  const copies = findPlayerCopies(editingProfileId);
+  if (copies.length === 0) {
+    closePlayerProfile();
+    return;
+  }
+
+  const profile = {
+    email: normalizeEmail(document.getElementById("profile-email").value),
+    membershipStatus: document.getElementById("profile-membership").value,
+    membershipExpiry: document.getElementById("profile-expiry").value,
+    preferredLevel: document.getElementById("profile-level").value,
+    preferredPartners: [
+      ...document.getElementById("profile-partners").selectedOptions,
+    ].map((option) => option.value),
+    wantsSingles: document.getElementById("profile-singles").checked,
+    notes: document.getElementById("profile-notes").value.trim(),
+  };
+
+  if (profile.email && !EMAIL_PATTERN.test(profile.email)) {
+    alert(`"${profile.email}" is not a valid email address.`);
+    return;
+  }
+  const owner = allPlayers.find(
+    (player) =>
+      player.id !== editingProfileId &&
+      profile.email &&
+      normalizeEmail(player.email) === profile.email
+  );
+  if (owner) {
+    alert(`${profile.email} already belongs to ${owner.name}.`);
+    return;
+  }
+  if (!MEMBERSHIP_STATUSES.includes(profile.membershipStatus)) {
+    profile.membershipStatus = "none";
+  }
+  if (!PREFERRED_LEVELS.includes(profile.preferredLevel)) {
+    profile.preferredLevel = "any";
+  }
+
+  const before = getPlayerProfile(copies[0]);
+  const changedFields = Object.keys(profile).filter(
+    (field) => JSON.stringify(before[field]) !== JSON.stringify(profile[field])
+  );
+  if (changedFields.length === 0) {
+    closePlayerProfile();
+    return;
+  }
+
+  copies.forEach((copy) => Object.assign(copy, profile));
+  // The audit log is published with the live session, so it only names
+  // the fields that changed, never their values
+  logAction(
+    "edit-profile",
+    `${copies[0].name}'s profile updated (${changedFields.join(", ")})`
+  );
+  enqueueWrite("updateProfile", {
+    playerId: editingProfileId,
+    profile: profile,
+  });
+
+  closePlayerProfile();
+  renderPlayerPool();
+  saveToLocalStorage();
+}
+
+/**
+ * Triggers a browser download of generated content
+ *
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} type - MIME type
+ */
+function downloadFile(filename, content, type) {
+  const blob = new Blob([content], { type: type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+function toCsvValue(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  return rows.map((row) => row.map(toCsvValue).join(",")).join("\n");
+}
+
+/**
+ * Downloads this session's per-player statistics as CSV
+ * - Includes everyone who was active at some point in the session
+ */
+function exportSessionStats() {
+  refreshAllPlayers();
+
+  const rows = [
+    [
+      "Name",
+      "Qualification",
+      "Active",
+      "Games Played",
+      "Wins",
+      "Losses",
+      "Minutes Waiting",
+      "Minutes On Court",
+    ],
+  ];
+
+  allPlayers
+    .filter((player) => player.isActive || playerStats[player.id])
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach((player) => {
+      const stats = getPlayerSessionStats(player.id);
+      const record = getWinLossRecord(player.id);
+      rows.push([
+        player.name,
+        player.qualification,
+        player.isActive ? "yes" : "no",
+        stats.gamesPlayed,
+        record.wins,
+        record.losses,
+        Math.round(stats.waitMs / 60000),
+        Math.round(stats.courtMs / 60000),
+      ]);
+    });
+
+  const date = new Date().toISOString().slice(0, 10);
+  downloadFile(`session-stats-${date}.csv`, toCsv(rows), "text/csv");
+}
+
+/**
+ * Parses CSV text into rows of cells
+ * - Handles quoted cells with commas, quotes and line breaks, as written
+ *   by toCsv and spreadsheet exports
+ * - Drops the byte order mark Excel and Google Sheets put at the start
+ */
+function parseCsv(text) {
+  text = text.replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+}
+
+function parseQualification(value) {
+  const input = (value || "").trim().toLowerCase();
+  if (input === "" || input === "i" || input === "intermediate") {
+    return "intermediate";
+  }
+  if (input === "a" || input === "advanced") return "advanced";
+  return null;
+}
+
+/**
+ * Finds the player a name or email already belongs to
+ * - Same rules as playersDB.checkNameExists: names match ignoring case
+ *   and spaces at the ends, emails match ignoring case
+ */
+function findDuplicatePlayer(roster, name, email) {
+  const nameToCheck = name.toLowerCase().trim();
+  return (
+    roster.find(
+      (player) => email && normalizeEmail(player.email) === email
+    ) ||
+    roster.find(
+      (player) =>
+        player.name && player.name.toLowerCase().trim() === nameToCheck
+    ) ||
+    null
+  );
+}
+
+/**
+ * Checks each CSV row and sorts it into new, duplicate or invalid
+ * - Duplicates are matched against the roster and earlier rows of the file
+ * - Names must pass getPlayerNameProblem so markup never reaches the roster
+ * - Headers match ROSTER_COLUMNS or ROSTER_COLUMN_ALIASES, ignoring case
+ *
+ * @param {Array<Array<string>>} rows - Parsed CSV with a header row
+ * @param {Array} roster - Players already in the database
+ * @returns {Array<Object>} One preview entry per data row
+ */
+function buildImportPreview(rows, roster) {
+  // Also drops byte order marks, in case the rows came from elsewhere
+  const normalizeHeader = (cell) =>
+    cell.replace(/\uFEFF/g, "").trim().replace(/\s+/g, " ").toLowerCase();
+  const header = (rows[0] || []).map(normalizeHeader);
+  const columnIndex = {};
+  Object.keys(ROSTER_COLUMNS).forEach((field) => {
+    const names = [ROSTER_COLUMNS[field], ...ROSTER_COLUMN_ALIASES[field]];
+    columnIndex[field] = header.findIndex((cell) =>
+      names.some((name) => normalizeHeader(name) === cell)
+    );
+  });
+  if (columnIndex.name === -1) {
+    throw new Error('The CSV needs a "Name" column.');
+  }
+
+  const seen = [];
+  return rows.slice(1).map((cells, index) => {
+    const cellFor = (field) =>
+      columnIndex[field] === -1 ? "" : (cells[columnIndex[field]] || "").trim();
+
+    const name = cellFor("name");
+    const email = normalizeEmail(cellFor("email"));
+    const qualification = parseQualification(cellFor("qualification"));
+    const membership = cellFor("membershipStatus").toLowerCase();
+    const level = cellFor("preferredLevel").toLowerCase();
+    const entry = {
+      line: index + 2,
+      name: name,
+      email: email,
+      qualification: qualification,
+      profile: {
+        ...(MEMBERSHIP_STATUSES.includes(membership) && {
+          membershipStatus: membership,
+        }),
+        ...(cellFor("membershipExpiry") && {
+          membershipExpiry: cellFor("membershipExpiry"),
+        }),
+        ...(PREFERRED_LEVELS.includes(level) && { preferredLevel: level }),
+        ...(cellFor("wantsSingles") && {
+          wantsSingles: /^(yes|y|true|1)$/i.test(cellFor("wantsSingles")),
+        }),
+        ...(cellFor("notes") && { notes: cellFor("notes") }),
+      },
+      status: "new",
+      reason: "",
+    };
+
+    const duplicate = name
+      ? findDuplicatePlayer(roster, name, email) ||
+        findDuplicatePlayer(seen, name, email)
+      : null;
+
+    const nameProblem = getPlayerNameProblem(name);
+    if (nameProblem) {
+      entry.status = "invalid";
+      entry.reason = nameProblem;
+    } else if (!qualification) {
+      entry.status = "invalid";
+      entry.reason = `Unknown qualification "${cellFor("qualification")}"`;
+    } else if (email && !EMAIL_PATTERN.test(email)) {
+      entry.status = "invalid";
+      entry.reason = `Invalid email "${email}"`;
+    } else if (duplicate) {
+      entry.status = "duplicate";
+      entry.reason = `Matches ${duplicate.name}${
+        seen.includes(duplicate) ? " earlier in the file" : ""
+      }`;
+    } else {
+      seen.push(entry);
+    }
+    return entry;
+  });
+}
+
+function openRosterImport() {
+  if (!requireRole("organizer", "import players")) return;
+  document.getElementById("roster-import-file").click();
+}
+
+/**
+ * Reads the chosen CSV file and shows the import preview
+ * - Checks duplicates against the full players collection when online,
+ *   otherwise against the players loaded on this device
+ */
+async function previewRosterImport(input) {
+  const file = input.files && input.files[0];
+  input.value = "";
+  if (!file) return;
+
+  try {
+    const text = await file.text();
+    let roster = allPlayers;
+    if (window.navigator.onLine && window.playersDB) {
+      try {
+        roster = [...(await window.playersDB.getAllPlayers()), ...allPlayers];
+      } catch (error) {
+        console.error("Checking duplicates against local players:", error);
+      }
+    }
+
+    pendingImport = buildImportPreview(parseCsv(text), roster);
+    renderImportPreview();
+    document.getElementById("roster-import-modal").style.display = "block";
+  } catch (error) {
+    console.error("Failed to read roster CSV:", error);
+    alert("Failed to read the CSV: " + error.message);
+  }
+}
+
+function closeRosterImport() {
+  pendingImport = [];
+  document.getElementById("roster-import-modal").style.display = "none";
+}
+
+function renderImportPreview() {
+  const previewList = document.getElementById("roster-import-preview");
+  const importButton = document.getElementById("roster-import-confirm");
+  if (!previewList) return;
+
+  const newCount = pendingImport.filter((entry) => entry.status === "new")
+    .length;
+  const skipped = pendingImport.length - newCount;
+
+  previewList.innerHTML = `
+    <p>${newCount} new player${newCount === 1 ? "" : "s"} to import${
+    skipped ? `, ${skipped} row${skipped === 1 ? "" : "s"} skipped` : ""
+  }.</p>
+    <table class="session-stats-table">
+      <thead>
+        <tr>
+          <th>Line</th>
+          <th>Name</th>
+          <th>Email</th>
+          <th>Qualification</th>
+          <th>Status</th>
+        </tr>
+      </thead>
+      <tbody></tbody>
+    </table>
+  `;
+
+  // Cells come straight from the CSV, so they're set as text, never HTML
+  const tableBody = previewList.querySelector("tbody");
+  pendingImport.forEach((entry) => {
+    const row = document.createElement("tr");
+    row.className = `import-${entry.status}`;
+    [
+      entry.line,
+      entry.name,
+      entry.email,
+      entry.qualification || "",
+      `${entry.status}${entry.reason ? ` – ${entry.reason}` : ""}`,
+    ].forEach((value) => {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    tableBody.appendChild(row);
+  });
+
+  if (importButton) {
+    importButton.disabled = newCount === 0;
+    importButton.textContent = `Import ${newCount} player${
+      newCount === 1 ? "" : "s"
+    }`;
+  }
+}
+
+/**
+ * Adds the new players from the preview to the roster
+ * - Players are added inactive; they join the session when activated or
+ *   when they check in
+ * - Writes go through the outbox, so an import made offline is kept;
+ *   each player and its profile are saved in a single write
+ */
+function confirmRosterImport() {
+  if (!requireRole("organizer", "import players")) return;
+
+  const entries = pendingImport.filter((entry) => entry.status === "new");
+  entries.forEach((entry, index) => {
+    const tempId =
+      "local_" +
+      Date.now() +
+      "_" +
+      index +
+      "_" +
+      Math.random().toString(36).substr(2, 5);
 
-    poolList.appendChild(playerDiv);
+    const newPlayer = {
+      id: tempId,
+      name: entry.name,
+      ...(entry.email && { email: entry.email }),
+      qualification: entry.qualification,
+      ...entry.profile,
+      isActive: false,
+      isNew: true,
+      status: `queue-${entry.qualification}`,
+    };
+    allPlayers.push(newPlayer);
+
+    enqueueWrite("addPlayer", {
+      tempId: tempId,
+      name: entry.name,
+      qualification: entry.qualification,
+      profile: getNonDefaultProfile(newPlayer),
+    });
   });
 
-  if (filteredPlayers.length === 0) {
-    poolList.innerHTML = "<p>No players found matching your filters.</p>";
+  logAction(
+    "import-players",
+    `${entries.length} players imported from CSV`,
+    null,
+    { names: entries.map((entry) => entry.name) }
+  );
+  closeRosterImport();
+  renderPlayerPool();
+  saveToLocalStorage();
+  alert(`Imported ${entries.length} players.`);
+}
+
+/**
+ * Downloads the full roster as CSV with each player's activity
+ * - Profile columns use the import format
+ * - Attendance comes from archived sessions when they can be loaded
+ */
+async function exportRoster() {
+  refreshAllPlayers();
+
+  let attendance = [];
+  if (window.navigator.onLine && window.sessionsDB && ensureFirebaseReady()) {
+    try {
+      pastSessions = await window.sessionsDB.getSessions();
+      attendance = buildAttendanceReport(getSessionsInRange("", ""));
+    } catch (error) {
+      console.error("Exporting without attendance:", error);
+    }
   }
+
+  const rows = [
+    [
+      ...Object.values(ROSTER_COLUMNS),
+      "Rating",
+      "Active",
+      "Games This Session",
+      "Wins",
+      "Losses",
+      "Nights Attended",
+      "Last Attended",
+    ],
+  ];
+
+  [...allPlayers]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .forEach((player) => {
+      const profile = getPlayerProfile(player);
+      const stats = getPlayerSessionStats(player.id);
+      const record = getWinLossRecord(player.id);
+      const attended = attendance.find((row) => row.playerId === player.id);
+      rows.push([
+        player.name,
+        profile.email,
+        player.qualification,
+        profile.membershipStatus,
+        profile.membershipExpiry,
+        profile.preferredLevel,
+        profile.wantsSingles ? "yes" : "no",
+        profile.notes,
+        getPlayerRating(player),
+        player.isActive ? "yes" : "no",
+        stats.gamesPlayed,
+        record.wins,
+        record.losses,
+        attended ? attended.count : 0,
+        attended ? attended.lastDate : "",
+      ]);
+    });
+
+  downloadFile(
+    `roster-${formatSessionDate(Date.now())}.csv`,
+    toCsv(rows),
+    "text/csv"
+  );
 }
 
 function togglePlayerActive(playerId) {
+  if (!requireRole("organizer", "activate players")) return;
   const playerInAll = allPlayers.find((p) => p.id === playerId);
   const playerIndex = players.findIndex((p) => p.id === playerId);
 
@@ -1954,6 +6793,9 @@ function togglePlayerActive(playerId) {
   });
 
   if (playerInAll) {
+    captureUndoSnapshot(
+      `${playerInAll.isActive ? "Deactivate" : "Activate"} ${playerInAll.name}`
+    );
     playerInAll.isActive = !playerInAll.isActive;
     playerInAll.modified = true;
 
@@ -1964,14 +6806,7 @@ function togglePlayerActive(playerId) {
     );
 
     if (playerInAll.isActive) {
-      if (playerIndex === -1) {
-        console.log(`Adding player ${playerInAll.name} back to active players`);
-        players.push({ ...playerInAll });
-        addToAppropriateQueue(playerInAll);
-      } else {
-        players[playerIndex].isActive = true;
-        players[playerIndex].modified = true;
-      }
+      activatePlayer(playerInAll);
     } else {
       if (playerIndex !== -1) {
         players[playerIndex].isActive = false;
@@ -1995,6 +6830,12 @@ function togglePlayerActive(playerId) {
       inactiveInAll: allPlayers.filter((p) => p.isActive === false).length,
     });
 
+    logAction(
+      playerInAll.isActive ? "activate" : "deactivate",
+      `${playerInAll.name} ${playerInAll.isActive ? "activated" : "deactivated"}`,
+      { isActive: !playerInAll.isActive },
+      { isActive: playerInAll.isActive }
+    );
     renderPlayerPool();
     initializePlayerArrays();
     renderPlayerQueue();
@@ -2003,6 +6844,29 @@ function togglePlayerActive(playerId) {
   }
 }
 
+/**
+ * Makes a pool player part of the active session
+ * - Adds them to the active players and to the queue for their qualification
+ * - Shared by the organizer's pool toggle and player self check-in
+ *
+ * @param {Object} playerInAll - Player entry from allPlayers
+ */
+function activatePlayer(playerInAll) {
+  const playerIndex = players.findIndex((p) => p.id === playerInAll.id);
+
+  playerInAll.isActive = true;
+  playerInAll.modified = true;
+
+  if (playerIndex === -1) {
+    console.log(`Adding player ${playerInAll.name} back to active players`);
+    players.push({ ...playerInAll });
+    addToAppropriateQueue(playerInAll);
+  } else {
+    players[playerIndex].isActive = true;
+    players[playerIndex].modified = true;
+  }
+}
+
 function removeFromQueues(playerId) {
   const advIndex = advancedQueue.indexOf(playerId);
   if (advIndex !== -1) {
@@ -2073,7 +6937,13 @@ function addToAppropriateQueue(player) {
 }
 
 function addPoolPlayer() {
+  if (!requireRole("organizer", "add players")) return;
   const name = prompt("Enter player name:");
+  const nameProblem = name && getPlayerNameProblem(name.trim());
+  if (nameProblem) {
+    alert(nameProblem + ".");
+    return;
+  }
   if (name && name.trim() !== "") {
     const qualification =
       prompt("Enter qualification (advanced/intermediate):")?.toLowerCase() ||
@@ -2101,12 +6971,570 @@ function addPoolPlayer() {
     players.push(newPlayer);
 
     addToAppropriateQueue(newPlayer);
+    enqueueWrite("addPlayer", {
+      tempId: tempId,
+      name: newPlayer.name,
+      qualification: validQual,
+    });
 
     renderPlayerPool();
     renderPlayerQueue();
     saveToLocalStorage();
   }
 }
+/**
+ * Sets up login.html for player self check-in
+ * - Lists every player in the players collection
+ * - Follows the live session to know who is already checked in
+ */
+function initializeCheckInPage() {
+  isFollowingSession = true;
+
+  if (!ensureFirebaseReady() || !window.sessionDB || !window.playersDB) {
+    alert("Cannot load the player list - please check your connection.");
+    return;
+  }
+
+  // Checking in needs the player role, which any signed-in device has
+  if (window.FirebaseAuth) {
+    window.authDB.onAuthChange(({ user }) => {
+      if (!user) {
+        window.authDB.signInAnonymously().catch((error) => {
+          alert("Cannot sign in to check in: " + error.message);
+        });
+      }
+    });
+  }
+
+  firebaseUnsubscribe = window.playersDB.onPlayersChange((databasePlayers) => {
+    const checkedInIds = new Set(players.map((player) => player.id));
+    allPlayers = databasePlayers.map((player) => ({
+      ...player,
+      isActive: checkedInIds.has(player.id),
+    }));
+    renderCheckInList();
+  });
+
+  courtsUnsubscribe = window.sessionDB.onSessionChange((state) => {
+    applySessionState(state);
+    renderCheckInList();
+  });
+
+  const searchBox = document.getElementById("player-pool-search");
+  if (searchBox) {
+    searchBox.addEventListener("input", renderCheckInList);
+  }
+
+  document
+    .getElementById("close-pool-modal")
+    .addEventListener("click", closePlayerPool);
+  document
+    .querySelector(".close-modal")
+    .addEventListener("click", closePlayerPool);
+
+  console.log("Check-in page ready");
+}
+
+function openCheckIn() {
+  const modal = document.getElementById("player-pool-modal");
+  modal.style.display = "block";
+  renderCheckInList();
+}
+
+function renderCheckInList() {
+  const poolList = document.getElementById("player-pool-list");
+  if (!poolList) return;
+
+  const searchTerm =
+    document.getElementById("player-pool-search")?.value?.toLowerCase() || "";
+
+  const filteredPlayers = allPlayers
+    .filter(
+      (player) =>
+        player.name && player.name.toLowerCase().includes(searchTerm)
+    )
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  poolList.innerHTML = "";
+  filteredPlayers.forEach((player) => {
+    const playerDiv = document.createElement("div");
+    playerDiv.className = `pool-player-item ${
+      player.isActive ? "pool-player-active" : "pool-player-inactive"
+    }`;
+
+    playerDiv.innerHTML = `
+      <div class="player-info">
+        <span class="player-name">${player.name}</span>
+        <span class="player-qualification">${player.qualification}</span>
+      </div>
+      <div class="player-actions">
+        ${
+          player.isActive
+            ? `<button class="toggle-active" onclick="selectMyPlayer('${player.id}')">This is me</button>`
+            : `<button class="toggle-active" onclick="checkInPlayer('${player.id}')">Check in</button>`
+        }
+      </div>
+    `;
+
+    poolList.appendChild(playerDiv);
+  });
+
+  if (filteredPlayers.length === 0) {
+    poolList.innerHTML =
+      "<p>No players found. Register below if you are new.</p>";
+  }
+}
+
+/**
+ * Checks a player into the live session from their own device
+ * - Players can't write the live session, so this leaves a check-in
+ *   request that the organizer's dashboard applies (see
+ *   applyCheckInRequests)
+ *
+ * @param {string} playerId - Id of the player in the players collection
+ */
+async function checkInPlayer(playerId) {
+  const playerInAll = allPlayers.find((p) => p.id === playerId);
+  if (!playerInAll) {
+    alert("Player not found!");
+    return;
+  }
+
+  try {
+    await window.sessionDB.requestCheckIn(playerId);
+
+    console.log(`Requested check-in for ${playerInAll.name}`);
+    localStorage.setItem(MY_PLAYER_KEY, playerId);
+    alert(
+      `You're checked in, ${playerInAll.name}! You'll show up in the queue in a few seconds.`
+    );
+    goToPlayerView();
+  } catch (error) {
+    console.error("Failed to check in:", error);
+    alert("Failed to check in: " + error.message);
+  }
+}
+
+/**
+ * Remembers which player uses this device and opens their status view
+ * - Used by players who are already checked in
+ */
+function selectMyPlayer(playerId) {
+  localStorage.setItem(MY_PLAYER_KEY, playerId);
+  goToPlayerView();
+}
+
+/**
+ * Registers a new player from the check-in page and checks them in
+ * - Uses the same duplicate name check as the organizer's Add Player;
+ *   a duplicate email is caught when the player is added
+ */
+async function registerAndCheckIn() {
+  const nameInput = document.getElementById("checkin-name");
+  const emailInput = document.getElementById("checkin-email");
+  const qualificationInput = document.getElementById("checkin-qualification");
+  const name = nameInput.value.trim();
+  const email = normalizeEmail(emailInput ? emailInput.value : "");
+  const qualification =
+    qualificationInput.value === "advanced" ? "advanced" : "intermediate";
+
+  if (!name) {
+    alert("Please enter your name.");
+    return;
+  }
+  const nameProblem = getPlayerNameProblem(name);
+  if (nameProblem) {
+    alert(nameProblem + ".");
+    return;
+  }
+
+  if (email && !EMAIL_PATTERN.test(email)) {
+    alert(`"${email}" is not a valid email address.`);
+    return;
+  }
+
+  try {
+    const checkResult = await window.playersDB.checkNameExists(name, email);
+    if (checkResult.exists) {
+      alert(
+        checkResult.matchedBy === "email"
+          ? `${email} is already registered as "${checkResult.matchingNames[0]}". Find yourself in the list above.`
+          : `Name "${name}" already exists. Find yourself in the list above, or add a number/initial.`
+      );
+      return;
+    }
+
+    const playerId = await window.playersDB.addPlayer({
+      name: name,
+      qualification: qualification,
+      profile: email ? { email: email } : null,
+    });
+
+    if (!allPlayers.some((p) => p.id === playerId)) {
+      allPlayers.push({
+        id: playerId,
+        name: name,
+        ...(email && { email: email }),
+        qualification: qualification,
+        isActive: false,
+      });
+    }
+
+    nameInput.value = "";
+    if (emailInput) emailInput.value = "";
+    await checkInPlayer(playerId);
+  } catch (error) {
+    console.error("Failed to register player:", error);
+    // Emails can't be looked up from here; the rules reject one in use
+    if (email && error.code === "permission-denied") {
+      alert(
+        `${email} is already registered. Find yourself in the list above.`
+      );
+      return;
+    }
+    alert("Failed to register: " + error.message);
+  }
+}
+
+/**
+ * Loads the archived sessions for the sessions page
+ * - The page only reads, so it follows the same no-save rules as viewers
+ */
+async function initializeSessionsPage() {
+  isFollowingSession = true;
+
+  if (!ensureFirebaseReady() || !window.sessionsDB) {
+    alert("Cannot load past sessions - please check your connection.");
+    return;
+  }
+
+  try {
+    pastSessions = await window.sessionsDB.getSessions();
+    renderSessionList();
+    renderAttendanceReport();
+    console.log(`Loaded ${pastSessions.length} sessions`);
+  } catch (error) {
+    console.error("Failed to load sessions:", error);
+    alert("Failed to load sessions: " + error.message);
+  }
+}
+
+function renderSessionList() {
+  const sessionList = document.getElementById("session-list");
+  if (!sessionList) return;
+
+  sessionList.innerHTML = "";
+  pastSessions.forEach((session) => {
+    const attendance = (session.attendance || []).length;
+    const games = (session.games || []).length;
+    const timeText = session.endedAt
+      ? `${formatClockTime(session.startedAt)} - ${formatClockTime(
+          session.endedAt
+        )}`
+      : `started ${formatClockTime(session.startedAt)}`;
+
+    const sessionDiv = document.createElement("div");
+    sessionDiv.className = "session-item";
+    sessionDiv.onclick = () => showSessionDetails(session.id);
+    sessionDiv.innerHTML = `
+      <div class="session-item-header">
+        <span class="session-item-name">${escapeHtml(session.name)}</span>
+        <span class="session-status session-status-${escapeHtml(
+          session.status
+        )}">${escapeHtml(session.status)}</span>
+      </div>
+      <div class="session-item-meta">
+        ${escapeHtml(session.date)} · ${escapeHtml(session.venue)} · ${timeText}
+      </div>
+      <div class="session-item-meta">
+        ${attendance} players · ${games} games
+      </div>
+    `;
+    sessionList.appendChild(sessionDiv);
+  });
+
+  if (pastSessions.length === 0) {
+    sessionList.innerHTML = "<p>No sessions recorded yet.</p>";
+  }
+}
+
+/**
+ * Shows one archived session: organizers, per-player stats, games and
+ * the audit log
+ *
+ * @param {string} sessionId - Id of the session document
+ */
+function showSessionDetails(sessionId) {
+  const details = document.getElementById("session-details");
+  const session = pastSessions.find((s) => s.id === sessionId);
+  if (!details || !session) return;
+
+  const attendance = {};
+  (session.attendance || []).forEach((entry) => {
+    attendance[entry.id] = entry;
+  });
+
+  const statsRows = [...(session.stats || [])]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map((stats) => {
+      const entry = attendance[stats.playerId];
+      const hereText =
+        entry && entry.checkedInAt
+          ? `${formatClockTime(entry.checkedInAt)} - ${formatClockTime(
+              entry.leftAt
+            )}`
+          : "";
+      return `
+        <tr>
+          <td>${escapeHtml(stats.name)}</td>
+          <td>${hereText}</td>
+          <td>${stats.gamesPlayed}</td>
+          <td>${stats.wins}–${stats.losses}</td>
+          <td>${formatDuration(stats.waitMs)}</td>
+          <td>${formatDuration(stats.courtMs)}</td>
+        </tr>
+      `;
+    })
+    .join("");
+
+  details.innerHTML = `
+    <h2>${escapeHtml(session.name)}</h2>
+    <div class="session-item-meta">
+      ${escapeHtml(session.date)} · ${escapeHtml(session.venue)} ·
+      organized by ${
+        escapeHtml((session.organizers || []).join(", ")) || "unknown"
+      }
+    </div>
+    ${
+      session.status === "open"
+        ? "<p>This session is still open. Its attendance and stats are archived when it closes.</p>"
+        : ""
+    }
+    <h3>Attendance (${(session.attendance || []).length})</h3>
+    <table class="session-stats-table">
+      <thead>
+        <tr>
+          <th>Player</th>
+          <th>Here</th>
+          <th>Games</th>
+          <th>W–L</th>
+          <th>Waited</th>
+          <th>On court</th>
+        </tr>
+      </thead>
+      <tbody>${statsRows}</tbody>
+    </table>
+    <h3>Games (${(session.games || []).length})</h3>
+    <div id="session-game-list" class="player-pool-list"></div>
+    <h3>Audit log</h3>
+    <div id="session-action-list" class="player-pool-list">
+      <p>Loading audit log...</p>
+    </div>
+  `;
+  details.dataset.sessionId = session.id;
+
+  const gameList = document.getElementById("session-game-list");
+  [...(session.games || [])]
+    .sort((a, b) => b.endedAt - a.endedAt)
+    .forEach((game) => {
+      gameList.appendChild(createGameHistoryItem(game));
+    });
+
+  renderSessionActions(session.id);
+}
+
+/**
+ * Loads a session's audit log into its details, newest entry first
+ *
+ * @param {string} sessionId - Id of the session shown in the details
+ */
+async function renderSessionActions(sessionId) {
+  let actions;
+  try {
+    actions = await window.sessionsDB.getSessionActions(sessionId);
+  } catch (error) {
+    console.error("Failed to load the audit log:", error);
+    actions = null;
+  }
+
+  // Another session may have been selected while this one loaded
+  const details = document.getElementById("session-details");
+  const actionList = document.getElementById("session-action-list");
+  if (!actionList || details.dataset.sessionId !== sessionId) return;
+
+  actionList.innerHTML = "";
+  if (!actions) {
+    actionList.innerHTML = "<p>Couldn't load the audit log.</p>";
+  } else if (actions.length === 0) {
+    actionList.innerHTML = "<p>No actions were recorded.</p>";
+  } else {
+    [...actions].reverse().forEach((entry) => {
+      actionList.appendChild(createAuditLogItem(entry));
+    });
+  }
+}
+
+/**
+ * Closed sessions held within a date range
+ * - Either end of the range may be left empty
+ *
+ * @param {string} from - First date (YYYY-MM-DD) or ""
+ * @param {string} to - Last date (YYYY-MM-DD) or ""
+ */
+function getSessionsInRange(from, to) {
+  return pastSessions.filter(
+    (session) =>
+      session.status === "closed" &&
+      (!from || session.date >= from) &&
+      (!to || session.date <= to)
+  );
+}
+
+/**
+ * Counts how often each player attended the given sessions
+ * - Several sessions on the same night count as one attendance
+ * - Names come from the most recent session, in case a player was renamed
+ *
+ * @param {Array} sessions - Archived sessions
+ * @returns {Array<{playerId: string, name: string, count: number, lastDate: string}>}
+ */
+function buildAttendanceReport(sessions) {
+  const report = {};
+
+  [...sessions]
+    .sort((a, b) => b.startedAt - a.startedAt)
+    .forEach((session) => {
+      (session.attendance || []).forEach((entry) => {
+        if (!report[entry.id]) {
+          report[entry.id] = {
+            playerId: entry.id,
+            name: entry.name,
+            dates: new Set(),
+            lastDate: session.date,
+          };
+        }
+        report[entry.id].dates.add(session.date);
+      });
+    });
+
+  return Object.values(report)
+    .map(({ dates, ...row }) => ({ ...row, count: dates.size }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
+
+/**
+ * Counts the distinct players who came on each night
+ *
+ * @param {Array} sessions - Archived sessions
+ * @returns {Array<{date: string, count: number}>} Nights in date order
+ */
+function getTurnoutByNight(sessions) {
+  const nights = {};
+  sessions.forEach((session) => {
+    if (!nights[session.date]) nights[session.date] = new Set();
+    (session.attendance || []).forEach((entry) => {
+      nights[session.date].add(entry.id);
+    });
+  });
+
+  return Object.keys(nights)
+    .sort()
+    .map((date) => ({ date: date, count: nights[date].size }));
+}
+
+function getAttendanceRange() {
+  return {
+    from: document.getElementById("attendance-from")?.value || "",
+    to: document.getElementById("attendance-to")?.value || "",
+  };
+}
+
+/**
+ * Shows the attendance table and turnout chart for the selected range
+ */
+function renderAttendanceReport() {
+  const reportElement = document.getElementById("attendance-report");
+  if (!reportElement) return;
+
+  const { from, to } = getAttendanceRange();
+  const sessions = getSessionsInRange(from, to);
+  const rows = buildAttendanceReport(sessions);
+
+  reportElement.innerHTML = rows.length
+    ? `
+      <table class="session-stats-table">
+        <thead>
+          <tr>
+            <th>Player</th>
+            <th>Nights attended</th>
+            <th>Last attended</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows
+            .map(
+              (row) => `
+                <tr>
+                  <td>${escapeHtml(row.name)}</td>
+                  <td>${row.count}</td>
+                  <td>${escapeHtml(row.lastDate)}</td>
+                </tr>
+              `
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `
+    : "<p>No closed sessions in this date range.</p>";
+
+  renderTurnoutChart(getTurnoutByNight(sessions));
+}
+
+/**
+ * Draws turnout per night as a bar chart
+ *
+ * @param {Array<{date: string, count: number}>} nights - From getTurnoutByNight
+ */
+function renderTurnoutChart(nights) {
+  const chart = document.getElementById("turnout-chart");
+  if (!chart) return;
+
+  const maxCount = Math.max(1, ...nights.map((night) => night.count));
+  chart.innerHTML = "";
+
+  nights.forEach((night) => {
+    const bar = document.createElement("div");
+    bar.className = "turnout-bar";
+    bar.title = `${night.date}: ${night.count} players`;
+    bar.innerHTML = `
+      <span class="turnout-count">${night.count}</span>
+      <div class="turnout-fill" style="height: ${
+        (night.count / maxCount) * 100
+      }%"></div>
+      <span class="turnout-date">${night.date.slice(5)}</span>
+    `;
+    chart.appendChild(bar);
+  });
+}
+
+/**
+ * Downloads the attendance report for the selected range as CSV
+ */
+function exportAttendanceReport() {
+  const { from, to } = getAttendanceRange();
+  const rows = [["Name", "Nights Attended", "Last Attended"]];
+
+  buildAttendanceReport(getSessionsInRange(from, to)).forEach((row) => {
+    rows.push([row.name, row.count, row.lastDate]);
+  });
+
+  downloadFile(
+    `attendance-${from || "start"}-to-${to || "today"}.csv`,
+    toCsv(rows),
+    "text/csv"
+  );
+}
+
 function reloadPage(page) {
   window.location.href = page;
 }
\ No newline at end of file
@@ -0,0 +1,475 @@
+// Security rules tests, run against the Firestore emulator:
+//   npm test
+// (starts the emulator through firebase emulators:exec; needs Java)
+const { readFileSync } = require("node:fs");
+const path = require("node:path");
+const { after, before, beforeEach, describe, it } = require("node:test");
+const {
+  assertFails,
+  assertSucceeds,
+  initializeTestEnvironment,
+} = require("@firebase/rules-unit-testing");
+const {
+  deleteDoc,
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  writeBatch,
+} = require("firebase/firestore");
+
+const PROJECT_ID = "demo-badminton-queue";
+
+let testEnv;
+
+const liveSession = () => ({
+  roster: [
+    {
+      id: "alex",
+      name: "Alex",
+      qualification: "advanced",
+      status: "queue-advanced",
+      order: 1,
+      courtSlot: null,
+    },
+  ],
+  queues: { advanced: ["alex"], intermediate: [] },
+  courts: {},
+  revision: 1,
+});
+
+// Check-in pages sign in anonymously, organizers with a verified email
+const viewer = () => testEnv.unauthenticatedContext().firestore();
+const player = (uid = "phone") =>
+  testEnv
+    .authenticatedContext(uid, { firebase: { sign_in_provider: "anonymous" } })
+    .firestore();
+const organizer = () =>
+  testEnv
+    .authenticatedContext("organizer", {
+      email: "organizer@wpi.edu",
+      email_verified: true,
+    })
+    .firestore();
+const admin = () =>
+  testEnv
+    .authenticatedContext("admin", {
+      email: "admin@wpi.edu",
+      email_verified: true,
+    })
+    .firestore();
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: {
+      rules: readFileSync(
+        path.join(__dirname, "..", "firestore.rules"),
+        "utf8"
+      ),
+    },
+  });
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+  await testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await setDoc(doc(db, "roles", "organizer@wpi.edu"), { role: "organizer" });
+    await setDoc(doc(db, "roles", "admin@wpi.edu"), { role: "admin" });
+    await setDoc(doc(db, "players", "alex"), {
+      name: "Alex",
+      qualification: "advanced",
+    });
+    await setDoc(doc(db, "players", "bo"), {
+      name: "Bo",
+      qualification: "intermediate",
+    });
+    await setDoc(doc(db, "profiles", "alex"), {
+      email: "alex@wpi.edu",
+      notes: "Prefers evening games",
+    });
+    await setDoc(doc(db, "emails", "alex@wpi.edu"), { playerId: "alex" });
+    await setDoc(doc(db, "sessionState", "live"), liveSession());
+    await setDoc(doc(db, "games", "game_1"), { court: "G1", players: [] });
+    await setDoc(doc(db, "sessions", "session_1"), { name: "Club night" });
+    await setDoc(doc(db, "sessions", "session_1", "actions", "action_1"), {
+      id: "action_1",
+      time: 1,
+      actor: "Organizer",
+      action: "check-in",
+      description: "Alex checked in",
+    });
+  });
+});
+
+after(async () => {
+  await testEnv.cleanup();
+});
+
+describe("viewer", () => {
+  it("can read the live session, players, games and sessions", async () => {
+    await assertSucceeds(getDoc(doc(viewer(), "sessionState", "live")));
+    await assertSucceeds(getDoc(doc(viewer(), "players", "alex")));
+    await assertSucceeds(getDoc(doc(viewer(), "games", "game_1")));
+    await assertSucceeds(getDoc(doc(viewer(), "sessions", "session_1")));
+  });
+
+  it("can read a session's audit log but not add to it", async () => {
+    const db = viewer();
+    await assertSucceeds(
+      getDoc(doc(db, "sessions", "session_1", "actions", "action_1"))
+    );
+    await assertFails(
+      setDoc(doc(db, "sessions", "session_1", "actions", "action_2"), {
+        id: "action_2",
+        description: "Made up",
+      })
+    );
+  });
+
+  it("can't read profiles or emails", async () => {
+    await assertFails(getDoc(doc(viewer(), "profiles", "alex")));
+    await assertFails(getDoc(doc(viewer(), "emails", "alex@wpi.edu")));
+  });
+
+  it("can't write anything", async () => {
+    const db = viewer();
+    await assertFails(
+      updateDoc(doc(db, "sessionState", "live"), { revision: 2 })
+    );
+    await assertFails(
+      setDoc(doc(db, "players", "new"), {
+        name: "New",
+        qualification: "intermediate",
+      })
+    );
+    await assertFails(setDoc(doc(db, "games", "game_2"), { court: "G1" }));
+    await assertFails(setDoc(doc(db, "sessions", "session_2"), { name: "x" }));
+    await assertFails(
+      setDoc(doc(db, "sessionState", "live", "checkIns", "phone"), {
+        playerId: "bo",
+        requestedAt: Date.now(),
+      })
+    );
+  });
+});
+
+describe("player", () => {
+  it("can register with the allowed fields only", async () => {
+    const db = player();
+    await assertSucceeds(
+      setDoc(doc(db, "players", "new"), {
+        name: "New",
+        qualification: "intermediate",
+        timestamp: new Date(),
+        lastUpdated: new Date(),
+      })
+    );
+    await assertFails(
+      setDoc(doc(db, "players", "rated"), {
+        name: "Rated",
+        qualification: "advanced",
+        rating: 2400,
+      })
+    );
+  });
+
+  it("can't register a bad name or qualification", async () => {
+    const db = player();
+    await assertFails(
+      setDoc(doc(db, "players", "new"), {
+        name: '<img src=x onerror="alert(1)">',
+        qualification: "intermediate",
+      })
+    );
+    await assertFails(
+      setDoc(doc(db, "players", "new"), {
+        name: "x".repeat(61),
+        qualification: "intermediate",
+      })
+    );
+    await assertFails(
+      setDoc(doc(db, "players", "new"), { name: "", qualification: "advanced" })
+    );
+    await assertFails(
+      setDoc(doc(db, "players", "new"), { name: "New", qualification: "pro" })
+    );
+    await assertFails(
+      setDoc(doc(db, "players", "new"), { name: 42, qualification: "advanced" })
+    );
+  });
+
+  it("can't put an email on the public player", async () => {
+    await assertFails(
+      setDoc(doc(player(), "players", "new"), {
+        name: "New",
+        email: "new@wpi.edu",
+        qualification: "intermediate",
+      })
+    );
+  });
+
+  it("can register with an email that isn't taken", async () => {
+    const db = player();
+    const batch = writeBatch(db);
+    batch.set(doc(db, "players", "new"), {
+      name: "New",
+      qualification: "intermediate",
+    });
+    batch.set(doc(db, "profiles", "new"), { email: "new@wpi.edu" });
+    batch.set(doc(db, "emails", "new@wpi.edu"), { playerId: "new" });
+    await assertSucceeds(batch.commit());
+  });
+
+  it("can't register with an email that is taken", async () => {
+    const db = player();
+    const batch = writeBatch(db);
+    batch.set(doc(db, "players", "copy"), {
+      name: "Alex Again",
+      qualification: "intermediate",
+    });
+    batch.set(doc(db, "profiles", "copy"), { email: "alex@wpi.edu" });
+    batch.set(doc(db, "emails", "alex@wpi.edu"), { playerId: "copy" });
+    await assertFails(batch.commit());
+  });
+
+  it("can't read or change profiles", async () => {
+    const db = player();
+    await assertFails(getDoc(doc(db, "profiles", "alex")));
+    await assertFails(getDoc(doc(db, "emails", "alex@wpi.edu")));
+    await assertFails(
+      setDoc(doc(db, "profiles", "bo"), { email: "bo@wpi.edu" })
+    );
+    await assertFails(updateDoc(doc(db, "profiles", "alex"), { notes: "" }));
+  });
+
+  it("can't change or delete existing players", async () => {
+    const db = player();
+    await assertFails(
+      updateDoc(doc(db, "players", "alex"), { qualification: "intermediate" })
+    );
+    await assertFails(deleteDoc(doc(db, "players", "alex")));
+  });
+
+  it("can request a check-in for an existing player", async () => {
+    await assertSucceeds(
+      setDoc(doc(player(), "sessionState", "live", "checkIns", "phone"), {
+        playerId: "bo",
+        requestedAt: Date.now(),
+      })
+    );
+  });
+
+  it("can only check in through its own request", async () => {
+    const db = player();
+    await assertFails(
+      setDoc(doc(db, "sessionState", "live", "checkIns", "other-phone"), {
+        playerId: "bo",
+        requestedAt: Date.now(),
+      })
+    );
+    await assertFails(
+      setDoc(doc(db, "sessionState", "live", "checkIns", "phone"), {
+        playerId: "nobody",
+        requestedAt: Date.now(),
+      })
+    );
+    await assertFails(
+      setDoc(doc(db, "sessionState", "live", "checkIns", "phone"), {
+        playerId: "bo",
+        requestedAt: Date.now(),
+        status: "G1",
+      })
+    );
+  });
+
+  it("can't write the live session, even to append one player", async () => {
+    const session = liveSession();
+    session.roster.push({
+      id: "bo",
+      name: "Bo",
+      qualification: "intermediate",
+      status: "queue-intermediate",
+      order: 2,
+      courtSlot: null,
+    });
+    session.queues.intermediate.push("bo");
+    session.revision = 2;
+
+    await assertFails(setDoc(doc(player(), "sessionState", "live"), session));
+  });
+
+  it("can't claim a court for auto-rotation", async () => {
+    await assertFails(
+      setDoc(doc(player(), "sessionState", "live", "autoRotations", "G1"), {
+        startedAt: 1,
+      })
+    );
+  });
+
+  it("can't read other devices' check-ins", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(
+        doc(context.firestore(), "sessionState", "live", "checkIns", "other"),
+        { playerId: "alex", requestedAt: 1 }
+      );
+    });
+    await assertFails(
+      getDoc(doc(player(), "sessionState", "live", "checkIns", "other"))
+    );
+  });
+});
+
+describe("organizer", () => {
+  it("can run the session", async () => {
+    const db = organizer();
+    await assertSucceeds(
+      setDoc(doc(db, "sessionState", "live"), {
+        ...liveSession(),
+        revision: 2,
+      })
+    );
+    await assertSucceeds(
+      updateDoc(doc(db, "players", "alex"), { qualification: "intermediate" })
+    );
+    await assertSucceeds(setDoc(doc(db, "games", "game_2"), { court: "G2" }));
+    await assertSucceeds(
+      setDoc(doc(db, "sessions", "session_2"), { name: "Club night" })
+    );
+  });
+
+  it("can read and edit profiles", async () => {
+    const db = organizer();
+    await assertSucceeds(getDoc(doc(db, "profiles", "alex")));
+    await assertSucceeds(getDoc(doc(db, "emails", "alex@wpi.edu")));
+    await assertSucceeds(
+      updateDoc(doc(db, "profiles", "alex"), { membershipStatus: "member" })
+    );
+  });
+
+  it("can move an email claim but not take someone else's", async () => {
+    const db = organizer();
+    const batch = writeBatch(db);
+    batch.set(doc(db, "profiles", "alex"), { email: "alex2@wpi.edu" });
+    batch.delete(doc(db, "emails", "alex@wpi.edu"));
+    batch.set(doc(db, "emails", "alex2@wpi.edu"), { playerId: "alex" });
+    await assertSucceeds(batch.commit());
+
+    const steal = writeBatch(db);
+    steal.set(doc(db, "profiles", "bo"), { email: "alex2@wpi.edu" });
+    steal.set(doc(db, "emails", "alex2@wpi.edu"), { playerId: "bo" });
+    await assertFails(steal.commit());
+  });
+
+  it("can't give a player a name with markup", async () => {
+    const db = organizer();
+    await assertFails(
+      setDoc(doc(db, "players", "new"), {
+        name: "<b>New</b>",
+        qualification: "intermediate",
+      })
+    );
+    await assertFails(
+      updateDoc(doc(db, "players", "alex"), { name: "Alex\n<script>" })
+    );
+  });
+
+  it("can't put profile fields on the public player", async () => {
+    await assertFails(
+      updateDoc(doc(organizer(), "players", "alex"), { notes: "Late" })
+    );
+  });
+
+  it("can apply and clear check-in requests", async () => {
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      await setDoc(
+        doc(context.firestore(), "sessionState", "live", "checkIns", "phone"),
+        { playerId: "bo", requestedAt: 1 }
+      );
+    });
+    const db = organizer();
+    await assertSucceeds(
+      getDoc(doc(db, "sessionState", "live", "checkIns", "phone"))
+    );
+    await assertSucceeds(
+      deleteDoc(doc(db, "sessionState", "live", "checkIns", "phone"))
+    );
+  });
+
+  it("can save audit log entries with the session", async () => {
+    const db = organizer();
+    await assertSucceeds(
+      setDoc(doc(db, "sessions", "session_1", "actions", "action_2"), {
+        id: "action_2",
+        time: 2,
+        actor: "Organizer",
+        action: "rotate",
+        description: "G1 rotated",
+      })
+    );
+    await assertFails(
+      deleteDoc(doc(db, "sessions", "session_1", "actions", "action_1"))
+    );
+  });
+
+  it("can claim a court for auto-rotation", async () => {
+    await assertSucceeds(
+      setDoc(doc(organizer(), "sessionState", "live", "autoRotations", "G1"), {
+        startedAt: 1,
+        claimedAt: new Date(),
+      })
+    );
+  });
+
+  it("can't delete players, sessions or manage roles", async () => {
+    const db = organizer();
+    await assertFails(deleteDoc(doc(db, "players", "alex")));
+    await assertFails(deleteDoc(doc(db, "sessions", "session_1")));
+    await assertFails(
+      setDoc(doc(db, "roles", "friend@wpi.edu"), { role: "organizer" })
+    );
+  });
+});
+
+describe("admin", () => {
+  it("can delete players and sessions", async () => {
+    const db = admin();
+    await assertSucceeds(deleteDoc(doc(db, "players", "alex")));
+    await assertSucceeds(deleteDoc(doc(db, "sessions", "session_1")));
+  });
+
+  it("can grant known roles only", async () => {
+    const db = admin();
+    await assertSucceeds(
+      setDoc(doc(db, "roles", "friend@wpi.edu"), { role: "organizer" })
+    );
+    await assertFails(
+      setDoc(doc(db, "roles", "friend@wpi.edu"), { role: "owner" })
+    );
+  });
+});
+
+describe("roles", () => {
+  it("can be read by their owner but not by others", async () => {
+    await assertSucceeds(
+      getDoc(doc(organizer(), "roles", "organizer@wpi.edu"))
+    );
+    await assertFails(getDoc(doc(organizer(), "roles", "admin@wpi.edu")));
+    await assertFails(getDoc(doc(player(), "roles", "organizer@wpi.edu")));
+  });
+
+  it("don't count without a verified email", async () => {
+    const unverified = testEnv
+      .authenticatedContext("impostor", {
+        email: "organizer@wpi.edu",
+        email_verified: false,
+      })
+      .firestore();
+    await assertFails(
+      updateDoc(doc(unverified, "players", "alex"), {
+        qualification: "intermediate",
+      })
+    );
+  });
+});